@@ -1,98 +1,735 @@
 #!/usr/bin/env node
 const fs = require("node:fs");
 const path = require("node:path");
-const { execSync } = require("node:child_process");
+const { execFileSync, spawn } = require("node:child_process");
 const crypto = require("node:crypto");
+const { StringDecoder } = require("node:string_decoder");
+const { version: PACKAGE_VERSION } = require("./package.json");
 
-// Run biome check and capture structured output
-function runBiome(files, withWrite = false) {
-  const writeFlag = withWrite ? "--write" : "";
-  const command =
-    `npx biome check ${writeFlag} --reporter=github ${files.join(" ")}`
-      .replace(/\s+/g, " ")
-      .trim();
+const OUTPUT_FORMATS = ["text", "json", "sarif", "junit", "github"];
+const BIOME_COMMANDS = ["check", "lint", "format", "ci"];
+const BASELINE_FILE = ".biome-suppressed.json";
+const CONFIG_FILE = ".biome-suppressedrc.json";
+const CONFIG_KEY = "biome-suppressed"; // Key for the config in package.json
+
+// Each biome command reports different diagnostics, so each gets its own
+// baseline. `ci` runs the same checks as `check` and shares its baseline.
+function getBaselinePath(command = "check", baselineFile = BASELINE_FILE) {
+  if (command === "check" || command === "ci") return baselineFile;
+  return baselineFile.replace(/(\.json)?$/, `.${command}$1`);
+}
+
+// Config keys and a check for each value
+const CONFIG_OPTIONS = {
+  baseline: (value) => typeof value === "string" && value !== "",
+  biome: (value) => typeof value === "string" && value !== "",
+  files: (value) =>
+    Array.isArray(value) && value.every((file) => typeof file === "string"),
+  baselineSeverities: (value) =>
+    Array.isArray(value) || typeof value === "string",
+  failSeverities: (value) => Array.isArray(value) || typeof value === "string",
+  failOnImprovement: (value) => typeof value === "boolean",
+  blame: (value) => typeof value === "boolean",
+  codeowners: (value) => typeof value === "boolean",
+  expiryWarningDays: (value) => Number.isInteger(value) && value >= 0,
+  workspaces: (value) => typeof value === "boolean",
+  outputFormat: (value) => OUTPUT_FORMATS.includes(value),
+  deny: (value) =>
+    Array.isArray(value) && value.every((rule) => typeof rule === "string"),
+  budgets: (value) =>
+    isPlainObject(value) &&
+    Object.keys(value).every((key) => key === "rules" || key === "paths") &&
+    Object.values(value).every(
+      (limits) =>
+        isPlainObject(limits) &&
+        Object.values(limits).every((max) => Number.isInteger(max) && max >= 0)
+    ),
+};
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+// Load .biome-suppressedrc.json, or the "biome-suppressed" key of
+// package.json, from the working directory
+function loadConfig(cwd = process.cwd()) {
+  let config = {};
+  let source = CONFIG_FILE;
   try {
-    // Use maxBuffer to handle large outputs and ignore SIGPIPE errors
-    const stdout = execSync(command, {
-      encoding: "utf8",
-      stdio: ["pipe", "pipe", "pipe"],
-      maxBuffer: 50 * 1024 * 1024, // 50MB buffer
-    });
-    return { stdout, stderr: "", code: 0 }; // No errors
+    const rcPath = path.join(cwd, CONFIG_FILE);
+    const packagePath = path.join(cwd, "package.json");
+    if (fs.existsSync(rcPath)) {
+      config = JSON.parse(fs.readFileSync(rcPath, "utf8"));
+    } else if (fs.existsSync(packagePath)) {
+      source = `"${CONFIG_KEY}" in package.json`;
+      config = JSON.parse(fs.readFileSync(packagePath, "utf8"))[CONFIG_KEY];
+      if (config === undefined) return {};
+    }
   } catch (error) {
-    // Handle broken pipe errors gracefully
-    if (
-      error.signal === "SIGPIPE" ||
-      (error.stderr && error.stderr.includes("Broken pipe"))
-    ) {
-      return {
-        stdout: error.stdout || "",
-        stderr: "",
-        code: 0, // Treat broken pipe as success if we got output
-      };
+    console.error(`❌ Could not read ${source}: ${error.message}`);
+    process.exit(1);
+  }
+
+  if (!isPlainObject(config)) {
+    console.error(`❌ ${source} must contain an object`);
+    process.exit(1);
+  }
+  for (const [key, value] of Object.entries(config)) {
+    if (!CONFIG_OPTIONS[key]) {
+      console.warn(`⚠️  Ignoring unknown option "${key}" in ${source}`);
+    } else if (!CONFIG_OPTIONS[key](value)) {
+      console.error(`❌ Invalid value for "${key}" in ${source}`);
+      process.exit(1);
     }
-    return {
-      stdout: error.stdout || "",
-      stderr: error.stderr || "",
-      code: error.status || 1,
-    };
   }
+  for (const key of ["baselineSeverities", "failSeverities"]) {
+    if (config[key] !== undefined) {
+      config[key] = parseSeverities(
+        [].concat(config[key]).join(","),
+        `"${key}" in ${source}`
+      );
+    }
+  }
+  return config;
+}
+
+const PNPM_WORKSPACE_FILE = "pnpm-workspace.yaml";
+
+// Package globs from pnpm-workspace.yaml. Only the `packages` list is read,
+// as a block or flow sequence, so no YAML parser is needed.
+function parsePnpmWorkspacePatterns(content) {
+  const patterns = [];
+  const unquote = (value) => value.trim().replace(/^(["'])(.*)\1$/, "$2");
+  let inPackages = false;
+  for (const line of content.split(/\r?\n/)) {
+    const text = line.replace(/\s+#.*$/, "");
+    const key = text.match(/^packages\s*:\s*(.*)$/);
+    if (key) {
+      const flow = key[1].match(/^\[(.*)\]$/);
+      if (flow) patterns.push(...flow[1].split(",").map(unquote));
+      inPackages = !flow;
+    } else if (inPackages && text.trim() !== "") {
+      const item = text.match(/^\s*-\s*(.+)$/);
+      if (item) patterns.push(unquote(item[1]));
+      else if (!/^\s/.test(text)) inPackages = false;
+    }
+  }
+  return patterns.filter(Boolean);
+}
+
+// Workspace globs from pnpm-workspace.yaml or package.json's "workspaces"
+// (an array, or { packages } as in yarn)
+function getWorkspacePatterns(cwd) {
+  const pnpmPath = path.join(cwd, PNPM_WORKSPACE_FILE);
+  if (fs.existsSync(pnpmPath)) {
+    return parsePnpmWorkspacePatterns(fs.readFileSync(pnpmPath, "utf8"));
+  }
+  const packagePath = path.join(cwd, "package.json");
+  if (!fs.existsSync(packagePath)) return [];
+  const { workspaces } = JSON.parse(fs.readFileSync(packagePath, "utf8"));
+  const patterns = Array.isArray(workspaces)
+    ? workspaces
+    : workspaces?.packages;
+  return Array.isArray(patterns) ? patterns : [];
+}
+
+// Directories below `base`, at most `depth` levels deep
+function listDirectories(cwd, base, depth) {
+  if (depth === 0) return [];
+  let entries;
+  try {
+    entries = fs.readdirSync(path.join(cwd, base), { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  return entries
+    .filter(
+      (entry) =>
+        entry.isDirectory() &&
+        entry.name !== "node_modules" &&
+        !entry.name.startsWith(".")
+    )
+    .flatMap((entry) => {
+      const dir = base ? `${base}/${entry.name}` : entry.name;
+      return [dir, ...listDirectories(cwd, dir, depth - 1)];
+    });
+}
+
+// Discover the workspace packages of a monorepo: directories matching the
+// workspace globs ("!" excludes) that contain a package.json
+function findWorkspaces(cwd = process.cwd()) {
+  const patterns = getWorkspacePatterns(cwd).map((pattern) =>
+    pattern.replace(/^(!?)\.\//, "$1").replace(/\/+$/, "")
+  );
+  const excludes = patterns
+    .filter((pattern) => pattern.startsWith("!"))
+    .map((pattern) => pattern.slice(1));
+  const dirs = new Set();
+  for (const pattern of patterns.filter((p) => !p.startsWith("!"))) {
+    const segments = pattern.split("/");
+    const firstGlob = segments.findIndex((segment) => /[*?]/.test(segment));
+    if (firstGlob === -1) {
+      dirs.add(pattern);
+      continue;
+    }
+    const depth = pattern.includes("**")
+      ? Number.POSITIVE_INFINITY
+      : segments.length - firstGlob;
+    for (const dir of listDirectories(
+      cwd,
+      segments.slice(0, firstGlob).join("/"),
+      depth
+    )) {
+      if (matchesPattern(dir, pattern)) dirs.add(dir);
+    }
+  }
+
+  return [...dirs]
+    .filter(
+      (dir) =>
+        !excludes.some((pattern) => matchesPattern(dir, pattern)) &&
+        fs.existsSync(path.join(cwd, dir, "package.json"))
+    )
+    .sort()
+    .map((dir) => {
+      let name = dir;
+      try {
+        name =
+          JSON.parse(
+            fs.readFileSync(path.join(cwd, dir, "package.json"), "utf8")
+          ).name || dir;
+      } catch {
+        // Unreadable package.json: fall back to the directory
+      }
+      return { name, dir };
+    });
+}
+
+// Whether a --workspace name refers to a workspace: its package name (with
+// or without the scope), its directory or the directory's name
+function matchesWorkspace(workspace, name) {
+  const dir = name.replace(/^\.\//, "").replace(/\/+$/, "");
+  return (
+    workspace.name === name ||
+    workspace.name.replace(/^@[^/]+\//, "") === name ||
+    workspace.dir === dir ||
+    path.posix.basename(workspace.dir) === dir
+  );
+}
+
+// Split --workspace, --workspaces and --no-workspaces off a command's
+// arguments; all stays null unless one of the latter two was given
+function parseWorkspaceArgs(args) {
+  const names = [];
+  let all = null;
+  const rest = [];
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--workspaces" || arg === "--no-workspaces") {
+      all = arg === "--workspaces";
+    } else if (arg === "--workspace" || arg.startsWith("--workspace=")) {
+      const name =
+        arg === "--workspace" ? args[++i] : arg.slice("--workspace=".length);
+      if (!name) {
+        console.error("❌ --workspace requires a name (e.g. --workspace api)");
+        process.exit(1);
+      }
+      names.push(name);
+    } else {
+      rest.push(arg);
+    }
+  }
+  return { names, all, args: rest };
+}
+
+// Command for biome: a configured binary, the locally installed package run
+// through node (works on every platform), or npx as a last resort
+function resolveBiomeCommand(biomeBinary, cwd = process.cwd()) {
+  if (biomeBinary) return [biomeBinary];
+  try {
+    return [
+      process.execPath,
+      require.resolve("@biomejs/biome/bin/biome", { paths: [cwd] }),
+    ];
+  } catch {
+    return ["npx", "biome"];
+  }
+}
+
+// Keys whose string values in biome's JSON report hold a whole file: each
+// diagnostic repeats its file's source and its fix's diff text
+const DROPPED_JSON_KEYS = new Set(["sourceCode", "dictionary"]);
+
+// Filter for biome's JSON report as it streams in: empties the string values
+// of DROPPED_JSON_KEYS, so the kept output grows with the number of
+// diagnostics instead of diagnostics × file size
+function createJsonReportFilter() {
+  const decoder = new StringDecoder("utf8");
+  let inString = false;
+  let escaped = false;
+  let dropping = false; // Inside a dropped value
+  let key = ""; // The current string while it may be a dropped key
+  let afterKey = false; // A dropped key closed; ":" comes next
+  let awaitingValue = false; // Past the ":" of a dropped key
+  return (chunk) => {
+    const text = decoder.write(chunk);
+    const kept = [];
+    let start = 0;
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === "\\") {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+          if (dropping) {
+            dropping = false;
+            start = i; // Keep the closing quote
+          } else {
+            afterKey = DROPPED_JSON_KEYS.has(key);
+          }
+        } else if (!dropping && key !== null) {
+          key = key.length < 16 ? key + char : null;
+        }
+      } else if (char === '"') {
+        inString = true;
+        if (awaitingValue) {
+          awaitingValue = false;
+          dropping = true;
+          kept.push(text.slice(start, i + 1));
+        } else {
+          key = "";
+        }
+      } else if (char === ":" && afterKey) {
+        afterKey = false;
+        awaitingValue = true;
+      } else if (!/\s/.test(char)) {
+        afterKey = false;
+        awaitingValue = false;
+      }
+    }
+    if (!dropping) kept.push(text.slice(start));
+    return kept.join("");
+  };
+}
+
+// Spawn biome and collect its output as it streams in, so large reports
+// aren't limited by a buffer size. JSON reports are filtered on the way.
+function runBiome(
+  files,
+  {
+    command: biomeCommand = "check",
+    write = false,
+    extraArgs = [],
+    biomeBinary = null,
+    reporter = "json",
+    cwd = process.cwd(),
+  } = {}
+) {
+  const [executable, ...prefix] = resolveBiomeCommand(biomeBinary, cwd);
+  const args = [
+    ...prefix,
+    biomeCommand,
+    ...(write ? ["--write"] : []),
+    ...extraArgs,
+    ...(reporter ? [`--reporter=${reporter}`] : []),
+    ...files,
+  ];
+  return new Promise((resolve, reject) => {
+    const child = spawn(executable, args, {
+      cwd,
+      stdio: ["ignore", "pipe", "pipe"],
+      shell: executable === "npx" && process.platform === "win32",
+    });
+    const filter = reporter === "json" ? createJsonReportFilter() : null;
+    const stdout = [];
+    const stderr = [];
+    child.stdout.on("data", (chunk) =>
+      stdout.push(filter ? Buffer.from(filter(chunk)) : chunk)
+    );
+    child.stderr.on("data", (chunk) => stderr.push(chunk));
+    child.on("error", (error) => {
+      reject(
+        new Error(`Could not run biome (${executable}): ${error.message}`)
+      );
+    });
+    child.on("close", (code) => {
+      resolve({
+        stdout: Buffer.concat(stdout).toString("utf8"),
+        stderr: Buffer.concat(stderr).toString("utf8"),
+        code: code ?? 1,
+        reporter,
+      });
+    });
+  });
+}
+
+// Sort errors deterministically: file → line → rule → message
+function sortErrors(errors) {
+  return [...errors].sort((a, b) => {
+    if (a.file !== b.file) return a.file.localeCompare(b.file);
+    if (a.line !== b.line) return a.line - b.line;
+    if (a.rule !== b.rule) return a.rule.localeCompare(b.rule);
+    if (a.message !== b.message) return a.message.localeCompare(b.message);
+    return 0;
+  });
 }
 
-// Parse GitHub Actions reporter format
+// GitHub annotation levels mapped to biome-suppressed severities
+const GITHUB_SEVERITIES = {
+  error: "error",
+  warning: "warning",
+  notice: "info",
+};
+
+// Parse GitHub Actions reporter format (errors, warnings and notices)
 function parseGitHubErrors(output) {
   const errors = output
     .split("\n")
-    .filter((errorLine) => errorLine.startsWith("::error"))
+    .filter((errorLine) => /^::(error|warning|notice) /.test(errorLine))
     .map((errorLine) => {
       // Parse: ::error title=rule,file=path,line=N,endLine=N,col=N,endColumn=N::message
       const match = errorLine.match(
-        /::error title=([^,]+),file=([^,]+),line=(\d+).*?::(.+)/
+        /^::(error|warning|notice) title=([^,]+),file=([^,]+),line=(\d+).*?::(.+)/
       );
       if (!match) return null;
 
-      const [, rule, file, lineNum, message] = match;
-      // Normalize file path consistently
-      let normalizedFile = file;
-      if (path.isAbsolute(file)) {
-        normalizedFile = path.relative(process.cwd(), file);
-      }
-      // Ensure forward slashes for cross-platform consistency
-      normalizedFile = normalizedFile.replace(/\\/g, "/");
-
+      const [, level, rule, file, lineNum, message] = match;
       return {
         rule,
-        file: normalizedFile,
+        file: normalizeReportedPath(file),
         line: Number.parseInt(lineNum),
         message: message.trim(),
+        severity: GITHUB_SEVERITIES[level],
       };
     })
     .filter(Boolean);
 
   // Sort for deterministic results
-  return errors.sort((a, b) => {
-    if (a.file !== b.file) return a.file.localeCompare(b.file);
-    if (a.line !== b.line) return a.line - b.line;
-    if (a.rule !== b.rule) return a.rule.localeCompare(b.rule);
-    if (a.message !== b.message) return a.message.localeCompare(b.message);
-    return 0;
+  return sortErrors(errors);
+}
+
+// Normalize a path reported by biome: cwd-relative with forward slashes
+function normalizeReportedPath(file, cwd = process.cwd()) {
+  const relative = path.isAbsolute(file) ? path.relative(cwd, file) : file;
+  return relative.replace(/\\/g, "/");
+}
+
+// Biome JSON reporter severities mapped to biome-suppressed severities
+const JSON_SEVERITIES = {
+  fatal: "error",
+  error: "error",
+  warning: "warning",
+  information: "info",
+  hint: "info",
+};
+
+// UTF-8 byte offsets of the line starts of a source, for getPosition
+function getLineStarts(source) {
+  const bytes = Buffer.from(source, "utf8");
+  const lineStarts = [0];
+  for (let i = 0; i < bytes.length; i++) {
+    if (bytes[i] === 10) lineStarts.push(i + 1);
+  }
+  lineStarts.bytes = bytes;
+  return lineStarts;
+}
+
+// Convert a UTF-8 byte offset into a 1-based line and column
+function getPosition(lineStarts, offset) {
+  let low = 0;
+  let high = lineStarts.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (lineStarts[mid] <= offset) low = mid;
+    else high = mid - 1;
+  }
+  const column =
+    lineStarts.bytes.subarray(lineStarts[low], offset).toString("utf8").length +
+    1;
+  return { line: low + 1, column };
+}
+
+// Parse biome's JSON reporter output. Returns null when the output isn't a
+// JSON report (e.g. biome versions without the reporter).
+function parseJsonDiagnostics(output, cwd = process.cwd()) {
+  let report;
+  try {
+    report = JSON.parse(output);
+  } catch {
+    return null;
+  }
+  if (!Array.isArray(report?.diagnostics)) return null;
+
+  // runBiome empties the reported sources, so spans are usually resolved
+  // against the file on disk. Line starts are computed once per file.
+  const lineStartsCache = new Map();
+  const getFileLineStarts = (file, sourceCode) => {
+    if (!lineStartsCache.has(file)) {
+      let source = sourceCode || null;
+      if (source === null) {
+        try {
+          source = fs.readFileSync(path.resolve(cwd, file), "utf8");
+        } catch {
+          // Deleted or unreadable file: positions fall back to line 1
+        }
+      }
+      lineStartsCache.set(file, source === null ? null : getLineStarts(source));
+    }
+    return lineStartsCache.get(file);
+  };
+  const errors = report.diagnostics
+    .filter((diagnostic) => diagnostic.category && diagnostic.location?.path)
+    .map((diagnostic) => {
+      const { path: location, span, sourceCode } = diagnostic.location;
+      const file = normalizeReportedPath(location.file, cwd);
+      let start = { line: 1, column: 1 };
+      let end = start;
+      // Formatter diagnostics have no span: they cover the whole file
+      const lineStarts = span && getFileLineStarts(file, sourceCode);
+      if (lineStarts) {
+        start = getPosition(lineStarts, span[0]);
+        end = getPosition(lineStarts, span[1]);
+      }
+      return {
+        rule: diagnostic.category,
+        file,
+        line: start.line,
+        column: start.column,
+        endLine: end.line,
+        endColumn: end.column,
+        message: (diagnostic.description || "").trim(),
+        severity: JSON_SEVERITIES[diagnostic.severity] || "error",
+      };
+    });
+
+  return sortErrors(errors);
+}
+
+// Baseline schema version: 1 = file:rule:line fingerprints, 2 = snippet-based,
+// 3 = entries grouped by file
+const BASELINE_VERSION = 3;
+const MAX_SNIPPET_LENGTH = 200;
+
+// Collapse whitespace so re-indenting a line keeps its fingerprint
+function normalizeSnippet(sourceLine) {
+  return (sourceLine || "")
+    .trim()
+    .replace(/\s+/g, " ")
+    .slice(0, MAX_SNIPPET_LENGTH);
+}
+
+// Attach the normalized offending source line to each error
+function attachSnippets(errors, cwd = process.cwd()) {
+  const sources = new Map();
+  return errors.map((error) => {
+    // Formatter diagnostics cover the whole file, so line 1 is no anchor
+    if (error.rule === "format") return { ...error, snippet: "" };
+    if (!sources.has(error.file)) {
+      let lines = [];
+      try {
+        lines = fs
+          .readFileSync(path.resolve(cwd, error.file), "utf8")
+          .split(/\r?\n/);
+      } catch {
+        // Deleted or unreadable file: fall back to an empty snippet
+      }
+      sources.set(error.file, lines);
+    }
+    const snippet = normalizeSnippet(sources.get(error.file)[error.line - 1]);
+    return { ...error, snippet };
+  });
+}
+
+// Number identical errors within a file (expects sorted input) so each one
+// keeps a distinct fingerprint without depending on its line number
+function assignOccurrences(errors) {
+  const seen = new Map();
+  return errors.map((error) => {
+    const key = `${error.file}:${error.rule}:${error.message}:${error.snippet || ""}`;
+    const occurrence = seen.get(key) || 0;
+    seen.set(key, occurrence + 1);
+    return { ...error, occurrence };
   });
 }
 
-// Create stable fingerprint for error
+// Parse biome output into errors ready for fingerprinting. A failed run
+// without diagnostics (bad config or flag) must not look like "0 errors".
+// Returns null when the JSON report can't be read.
+function collectErrors(result, cwd = process.cwd()) {
+  const errors =
+    result.reporter === "json"
+      ? parseJsonDiagnostics(result.stdout, cwd)
+      : parseGitHubErrors(result.stdout);
+  if (!errors) return null;
+  if (result.code !== 0 && errors.length === 0 && result.stderr.trim()) {
+    throw new Error(
+      `biome exited with code ${result.code} without reporting diagnostics:\n${result.stderr.trim()}`
+    );
+  }
+  return assignOccurrences(attachSnippets(errors, cwd));
+}
+
+// Run biome and collect its diagnostics, falling back to the GitHub
+// reporter for biome versions without a usable JSON reporter
+async function runBiomeForErrors(files, runOptions) {
+  const errors = collectErrors(
+    await runBiome(files, runOptions),
+    runOptions.cwd
+  );
+  if (errors) return errors;
+  return collectErrors(
+    await runBiome(files, { ...runOptions, reporter: "github" }),
+    runOptions.cwd
+  );
+}
+
+// Create stable fingerprint for error, tolerant of line shifts
 function createErrorFingerprint(error) {
   // Ensure deterministic fingerprints by normalizing path separators
+  const normalizedFile = error.file.replace(/\\/g, "/");
+  // Formatter messages differ between `biome check` and `biome ci`
+  const message = error.rule === "format" ? "" : error.message;
+  const fingerprintData = `${normalizedFile}:${error.rule}:${error.occurrence || 0}:${message}:${error.snippet || ""}`;
+  return crypto.createHash("md5").update(fingerprintData).digest("hex");
+}
+
+// Version 1 fingerprint (file:rule:line), kept to read old baselines
+function createLegacyFingerprint(error) {
   const normalizedFile = error.file.replace(/\\/g, "/");
   const fingerprintData = `${normalizedFile}:${error.rule}:${error.line}`;
   return crypto.createHash("md5").update(fingerprintData).digest("hex");
 }
 
-// Load baseline from cache file
-function loadBaseline() {
-  const cacheFile = ".biome-suppressed.json";
+// Build baseline contents from a list of errors
+function buildBaseline(errors, biomeVersion) {
+  // Severity is only stored for non-errors to keep existing baselines stable
+  const sortedErrors = sortErrors(errors).map(
+    ({ rule, file, line, message, snippet, severity }) => ({
+      rule,
+      file,
+      line,
+      message,
+      snippet,
+      ...(severity && severity !== "error" && { severity }),
+    })
+  );
+
+  return {
+    version: BASELINE_VERSION,
+    biomeVersion,
+    fingerprints: assignOccurrences(sortedErrors)
+      .map(createErrorFingerprint)
+      .sort(),
+    errors: sortedErrors, // Keep for debugging/reporting
+  };
+}
+
+// Baseline file contents of any version as a flat entry list, without
+// migrating them (version 1 entries keep their missing snippets)
+function getBaselineEntries(data) {
+  if (data.version === BASELINE_VERSION) {
+    return Object.entries(data.files || {}).flatMap(([file, entry]) =>
+      entry.errors.map((error) => ({ ...error, file }))
+    );
+  }
+  return data.errors || [];
+}
+
+// Turn baseline file contents of any version into a baseline with a flat
+// error list and fingerprints. Version 1 entries get snippets from the
+// current sources, so migrate those before editing the files.
+function migrateBaseline(baseline, cwd = process.cwd()) {
+  const errors = getBaselineEntries(baseline);
+  return {
+    ...buildBaseline(
+      baseline.version === 1 || !baseline.version
+        ? attachSnippets(errors, cwd)
+        : errors,
+      baseline.biomeVersion
+    ),
+    ...(baseline.metadata && { metadata: baseline.metadata }),
+  };
+}
+
+// Single-line JSON object with spacing, for one-entry-per-line output
+function inlineJson(object) {
+  const fields = Object.entries(object).map(
+    ([key, value]) => `${JSON.stringify(key)}: ${JSON.stringify(value)}`
+  );
+  return `{ ${fields.join(", ")} }`;
+}
+
+// Baseline file layout: errors grouped by file in sorted order, with rule
+// counts per file and one line per error, so changes to different files
+// touch different lines and merge cleanly
+function serializeBaseline(baseline) {
+  const byFile = groupBy(baseline.errors, "file");
+  const files = Object.entries(byFile).map(([file, errors]) => {
+    const rules = {};
+    for (const { rule } of [...errors].sort((a, b) =>
+      a.rule.localeCompare(b.rule)
+    )) {
+      rules[rule] = (rules[rule] || 0) + 1;
+    }
+    const entries = errors.map(
+      ({ file: _file, ...error }) => `        ${inlineJson(error)}`
+    );
+    return [
+      `    ${JSON.stringify(file)}: {`,
+      `      "rules": ${inlineJson(rules)},`,
+      `      "errors": [`,
+      entries.join(",\n"),
+      "      ]",
+      "    }",
+    ].join("\n");
+  });
+
+  return [
+    "{",
+    `  "version": ${BASELINE_VERSION},`,
+    `  "biomeVersion": ${JSON.stringify(baseline.biomeVersion)},`,
+    // Hand-written owner, reason and expiry per rule or path
+    ...(baseline.metadata
+      ? [
+          `  "metadata": ${JSON.stringify(baseline.metadata, null, 2).replace(/\n/g, "\n  ")},`,
+        ]
+      : []),
+    files.length > 0
+      ? `  "files": {\n${files.join(",\n")}\n  }`
+      : '  "files": {}',
+    "}",
+    "",
+  ].join("\n");
+}
+
+// Parse baseline file contents; an empty file is an empty baseline
+function parseBaselineContent(content) {
+  return content.trim() ? JSON.parse(content) : { version: 2 };
+}
+
+// Read and parse a baseline file of any version
+function readBaselineFile(cacheFile, cwd = process.cwd()) {
+  const data = parseBaselineContent(fs.readFileSync(cacheFile, "utf8"));
+  return { data, baseline: migrateBaseline(data, cwd) };
+}
+
+// Load baseline from cache file, migrating old formats in place unless
+// `migrate` is false (old formats are then only converted in memory)
+function loadBaseline(cacheFile = BASELINE_FILE, { migrate = true } = {}) {
   try {
     if (fs.existsSync(cacheFile)) {
-      return JSON.parse(fs.readFileSync(cacheFile, "utf8"));
+      const { data, baseline } = readBaselineFile(cacheFile);
+      if (migrate && data.version !== BASELINE_VERSION) {
+        fs.writeFileSync(cacheFile, serializeBaseline(baseline));
+        // stderr: stdout may carry a machine-readable report
+        console.error(
+          `🔄 Migrated baseline to the version ${BASELINE_VERSION} format (${baseline.fingerprints.length} error${baseline.fingerprints.length === 1 ? "" : "s"})`
+        );
+      }
+      return baseline;
     }
   } catch (error) {
     console.warn(`Warning: Could not load baseline: ${error.message}`);
@@ -100,31 +737,103 @@ function loadBaseline() {
   return null;
 }
 
-// Save baseline to cache file
-function saveBaseline(errors) {
-  // Sort errors for consistent baselines
-  const sortedErrors = [...errors].sort((a, b) => {
-    if (a.file !== b.file) return a.file.localeCompare(b.file);
-    if (a.line !== b.line) return a.line - b.line;
-    if (a.rule !== b.rule) return a.rule.localeCompare(b.rule);
-    if (a.message !== b.message) return a.message.localeCompare(b.message);
-    return 0;
-  });
+// Metadata of a baseline file, which rewrites of the file carry over
+function readBaselineMetadata(cacheFile) {
+  try {
+    const { metadata } = parseBaselineContent(
+      fs.readFileSync(cacheFile, "utf8")
+    );
+    return metadata ? { metadata } : {};
+  } catch {
+    return {};
+  }
+}
 
+// Save baseline to cache file
+function saveBaseline(cacheFile, errors, biomeVersion = getBiomeVersion()) {
   const baseline = {
-    biomeVersion: getBiomeVersion(),
-    fingerprints: sortedErrors.map(createErrorFingerprint).sort(),
-    errors: sortedErrors, // Keep for debugging/reporting
+    ...buildBaseline(errors, biomeVersion),
+    ...readBaselineMetadata(cacheFile),
   };
-
-  fs.writeFileSync(".biome-suppressed.json", JSON.stringify(baseline, null, 2));
+  fs.writeFileSync(cacheFile, serializeBaseline(baseline));
   return baseline;
 }
 
+// Three-way merge of baselines for git's merge driver, treating each side as
+// a set of fingerprints: entries either side fixed are dropped and entries
+// either side added are kept
+function mergeBaselines(base, ours, theirs) {
+  const entries = (baseline) =>
+    new Map(
+      assignOccurrences(baseline.errors).map((error) => [
+        createErrorFingerprint(error),
+        error,
+      ])
+    );
+  const [baseEntries, ourEntries, theirEntries] = [base, ours, theirs].map(
+    entries
+  );
+
+  const merged = [];
+  for (const [fingerprint, error] of ourEntries) {
+    if (theirEntries.has(fingerprint) || !baseEntries.has(fingerprint)) {
+      merged.push(error);
+    }
+  }
+  for (const [fingerprint, error] of theirEntries) {
+    if (!(ourEntries.has(fingerprint) || baseEntries.has(fingerprint))) {
+      merged.push(error);
+    }
+  }
+
+  // Keep a version bump from either side
+  const biomeVersion =
+    ours.biomeVersion !== base.biomeVersion
+      ? ours.biomeVersion
+      : theirs.biomeVersion;
+  const metadata = mergeMetadata(base.metadata, ours.metadata, theirs.metadata);
+  return {
+    ...buildBaseline(merged, biomeVersion),
+    ...(metadata && { metadata }),
+  };
+}
+
+// Three-way merge of baseline metadata per rule and path pattern: a side
+// that changed a pattern's metadata wins, ours when both did
+function mergeMetadata(base = {}, ours = {}, theirs = {}) {
+  const merged = {};
+  for (const kind of ["rules", "paths"]) {
+    const patterns = new Set([
+      ...Object.keys(ours[kind] || {}),
+      ...Object.keys(theirs[kind] || {}),
+    ]);
+    for (const pattern of patterns) {
+      const [baseValue, ourValue, theirValue] = [base, ours, theirs].map(
+        (metadata) => metadata[kind]?.[pattern]
+      );
+      const value =
+        JSON.stringify(ourValue) !== JSON.stringify(baseValue)
+          ? ourValue
+          : theirValue;
+      if (value) {
+        merged[kind] = merged[kind] || {};
+        merged[kind][pattern] = value;
+      }
+    }
+  }
+  return Object.keys(merged).length > 0 ? merged : null;
+}
+
 // Get biome version for cache validation
-function getBiomeVersion() {
+function getBiomeVersion(biomeBinary = null, cwd = process.cwd()) {
+  const [executable, ...prefix] = resolveBiomeCommand(biomeBinary, cwd);
   try {
-    const output = execSync("npx biome --version", { encoding: "utf8" });
+    const output = execFileSync(executable, [...prefix, "--version"], {
+      cwd,
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "ignore"],
+      shell: executable === "npx" && process.platform === "win32",
+    });
     return output.trim();
   } catch {
     return "unknown";
@@ -143,388 +852,4678 @@ function groupBy(array, key) {
 
 // Sanitize and validate file paths
 function sanitizeFilePaths(files) {
-  return files
-    .map((file) => {
-      // Quote paths with spaces
-      if (file.includes(" ") && !file.startsWith('"')) {
-        return `"${file}"`;
-      }
-      return file;
-    })
-    .filter((file) => {
-      // Remove quotes for existence check
-      const cleanFile = file.replace(/^"|"$/g, "");
-      if (cleanFile === "." || fs.existsSync(cleanFile)) {
-        return true;
-      }
-      console.warn(`⚠️  File/directory not found: ${cleanFile}`);
-      return false;
-    });
+  // Paths are passed to biome as separate arguments, so spaces need no
+  // quoting
+  return files.filter((file) => {
+    if (file === "." || fs.existsSync(file)) {
+      return true;
+    }
+    console.warn(`⚠️  File/directory not found: ${file}`);
+    return false;
+  });
 }
 
-// Parse command line arguments
-function parseArgs(args) {
-  const options = {
-    files: [],
-    write: false, // Default to check-only mode (like biome check)
-    skipSuppressionUpdate: false,
-    suppressionFailOnImprovement: false,
+// Run git in a directory and return trimmed stdout
+function runGit(args, cwd = process.cwd()) {
+  return execFileSync("git", args, {
+    cwd,
+    encoding: "utf8",
+    stdio: ["pipe", "pipe", "pipe"],
+    maxBuffer: 50 * 1024 * 1024,
+  }).trim();
+}
+
+// Split NUL-separated git output (-z) into paths
+function splitGitPaths(output) {
+  return output.split("\0").filter(Boolean);
+}
+
+// List existing files (relative to cwd) changed according to git:
+// "staged" = index vs HEAD, "changed" = working tree vs HEAD plus untracked,
+// "since" = working tree vs the merge-base of ref and HEAD
+function getGitChangedFiles(mode, ref) {
+  const diffArgs = ["diff", "--name-only", "--relative", "-z"];
+  const filter = "--diff-filter=ACMR";
+  let files;
+
+  try {
+    if (mode === "staged") {
+      files = splitGitPaths(runGit([...diffArgs, "--cached", filter]));
+    } else if (mode === "changed") {
+      files = [
+        ...splitGitPaths(runGit([...diffArgs, filter, "HEAD"])),
+        ...splitGitPaths(
+          runGit(["ls-files", "--others", "--exclude-standard", "-z"])
+        ),
+      ];
+    } else {
+      const mergeBase = runGit(["merge-base", ref, "HEAD"]);
+      files = splitGitPaths(runGit([...diffArgs, filter, mergeBase]));
+    }
+  } catch (error) {
+    const detail = (error.stderr || error.message).toString().trim();
+    throw new Error(`Could not list ${mode} files from git: ${detail}`);
+  }
+
+  return [...new Set(files)].filter((file) => fs.existsSync(file)).sort();
+}
+
+// Commit that last changed the baseline file, or null outside git
+function getBaselineCommit(baselinePath, cwd = process.cwd()) {
+  try {
+    return (
+      runGit(["log", "-1", "--format=%H", "--", baselinePath], cwd) || null
+    );
+  } catch {
+    return null;
+  }
+}
+
+// Load the baseline as committed at a git ref; null when the ref has none
+function loadBaselineAtRef(ref, baselinePath, cwd = process.cwd()) {
+  try {
+    runGit(["rev-parse", "--verify", "--quiet", `${ref}^{commit}`], cwd);
+  } catch {
+    throw new Error(`Unknown git ref: ${ref}`);
+  }
+  const relativePath = path
+    .relative(cwd, path.resolve(cwd, baselinePath))
+    .replace(/\\/g, "/");
+  const object = `${ref}:./${relativePath}`;
+  try {
+    runGit(["cat-file", "-e", object], cwd);
+  } catch {
+    return null;
+  }
+  return migrateBaseline(
+    parseBaselineContent(runGit(["show", object], cwd)),
+    cwd
+  );
+}
+
+// Added or modified lines per file from `git diff -U0` output. A null entry
+// means the whole file is new.
+function parseChangedLines(diffOutput) {
+  const changed = new Map();
+  let lines = null;
+  for (const line of diffOutput.split("\n")) {
+    if (line.startsWith("+++ ")) {
+      const file = line.slice(4);
+      lines = file === "/dev/null" ? null : new Set();
+      if (lines) changed.set(file.replace(/^b\//, ""), lines);
+      continue;
+    }
+    const hunk = line.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/);
+    if (hunk && lines) {
+      const start = Number.parseInt(hunk[1], 10);
+      const count = hunk[2] === undefined ? 1 : Number.parseInt(hunk[2], 10);
+      for (let i = start; i < start + count; i++) lines.add(i);
+    }
+  }
+  return changed;
+}
+
+// Lines changed since the merge-base with a ref, for the given errors' files
+function getChangedLinesSince(ref, errors, cwd = process.cwd()) {
+  try {
+    const mergeBase = runGit(["merge-base", ref, "HEAD"], cwd);
+    return getChangedLines(
+      mergeBase,
+      [...new Set(errors.map((e) => e.file))],
+      cwd
+    );
+  } catch (error) {
+    const detail = (error.stderr || error.message).toString().trim();
+    throw new Error(`Could not list lines changed since ${ref}: ${detail}`);
+  }
+}
+
+// Whether an error is on a line from getChangedLines. Formatter diagnostics
+// span the file: any edit may have caused them.
+function isOnChangedLine(error, changedLines) {
+  if (!changedLines.has(error.file)) return false;
+  const lines = changedLines.get(error.file);
+  return lines === null || error.rule === "format" || lines.has(error.line);
+}
+
+// Parse `git blame --line-porcelain` output into final line number →
+// { commit, author, date }. Uncommitted lines get a null commit.
+function parseBlame(output) {
+  const blame = new Map();
+  let current = null;
+  for (const line of output.split("\n")) {
+    const header = line.match(/^([0-9a-f]{40}) \d+ (\d+)/);
+    if (header) {
+      current = {
+        commit: /^0+$/.test(header[1]) ? null : header[1],
+        author: "",
+        date: null,
+      };
+      blame.set(Number(header[2]), current);
+    } else if (current && line.startsWith("author ")) {
+      current.author = line.slice("author ".length);
+    } else if (current && line.startsWith("author-time ")) {
+      current.date = new Date(Number(line.slice("author-time ".length)) * 1000)
+        .toISOString()
+        .slice(0, 10);
+    }
+  }
+  return blame;
+}
+
+// Attach git blame of each error's line, with one git blame per file, in
+// the working tree or at a commit. Files git can't blame (untracked, outside
+// a repository) are left as is.
+function attachBlame(errors, commit = null, cwd = process.cwd()) {
+  const blamed = new Map();
+  for (const [file, fileErrors] of Object.entries(groupBy(errors, "file"))) {
+    const lines = [...new Set(fileErrors.map((error) => error.line))];
+    try {
+      const output = runGit(
+        [
+          "blame",
+          "--line-porcelain",
+          ...lines.flatMap((line) => ["-L", `${line},${line}`]),
+          ...(commit ? [commit] : []),
+          "--",
+          file,
+        ],
+        cwd
+      );
+      blamed.set(file, parseBlame(output));
+    } catch {
+      // Not blameable
+    }
+  }
+  return errors.map((error) => {
+    const blame = blamed.get(error.file)?.get(error.line);
+    return blame ? { ...error, blame } : error;
+  });
+}
+
+function formatBlame(blame) {
+  if (!blame) return "";
+  if (!blame.commit) return "  (uncommitted)";
+  return `  (${blame.author}, ${blame.commit.slice(0, 8)}, ${blame.date})`;
+}
+
+// Lines of the given files changed in the working tree since a commit,
+// untracked files counting as entirely changed
+function getChangedLines(commit, files, cwd = process.cwd()) {
+  const changed = parseChangedLines(
+    runGit(
+      [
+        "-c",
+        "core.quotePath=false",
+        "diff",
+        "-U0",
+        "--no-color",
+        "--no-ext-diff",
+        "--relative",
+        "--src-prefix=a/",
+        "--dst-prefix=b/",
+        commit,
+        "--",
+        ...files,
+      ],
+      cwd
+    )
+  );
+  const untracked = splitGitPaths(
+    runGit(
+      ["ls-files", "--others", "--exclude-standard", "-z", "--", ...files],
+      cwd
+    )
+  );
+  for (const file of untracked) changed.set(file, null);
+  return changed;
+}
+
+// Renames between a commit and the working tree (old path → new path).
+// Covers committed and staged renames.
+function getGitRenames(commit, cwd = process.cwd()) {
+  const fields = splitGitPaths(
+    runGit(
+      [
+        "diff",
+        "--name-status",
+        "-M",
+        "-z",
+        "--relative",
+        "--diff-filter=R",
+        commit,
+      ],
+      cwd
+    )
+  );
+  const renames = new Map();
+  // Entries are "R<score>", old path, new path
+  for (let i = 0; i + 2 < fields.length; i += 3) {
+    renames.set(fields[i + 1], fields[i + 2]);
+  }
+  return renames;
+}
+
+// Biome options that take a value, so "--flag value" forwards both arguments.
+// Language-specific variants (e.g. --json-formatter-line-width) share these
+// suffixes.
+const BIOME_VALUE_OPTIONS = [
+  "arrow-parentheses",
+  "attribute-position",
+  "bracket-same-line",
+  "bracket-spacing",
+  "colors",
+  "config-path",
+  "diagnostic-level",
+  "enabled",
+  "enforce-assist",
+  "expand",
+  "files-ignore-unknown",
+  "files-max-size",
+  "indent-script-and-style",
+  "indent-style",
+  "indent-width",
+  "jsx-everywhere",
+  "jsx-quote-style",
+  "line-ending",
+  "line-width",
+  "log-file",
+  "log-kind",
+  "log-level",
+  "max-diagnostics",
+  "only",
+  "operator-linebreak",
+  "quote-properties",
+  "quote-style",
+  "reason",
+  "self-close-void-elements",
+  "semicolons",
+  "skip",
+  "stdin-file-path",
+  "threads",
+  "trailing-commas",
+  "use-editorconfig",
+  "vcs-client-kind",
+  "vcs-default-branch",
+  "vcs-root",
+  "vcs-use-ignore-file",
+  "whitespace-sensitivity",
+];
+
+// Check whether a forwarded biome flag expects a separate value argument
+function takesBiomeValue(flag) {
+  const name = flag.replace(/^--/, "");
+  return BIOME_VALUE_OPTIONS.some(
+    (option) => name === option || name.endsWith(`-${option}`)
+  );
+}
+
+// Build a rule predicate from forwarded --only/--skip selectors, so that
+// baseline entries for rules biome was told not to run are left alone
+function createRuleFilter(biomeArgs) {
+  const only = [];
+  const skip = [];
+  for (let i = 0; i < biomeArgs.length; i++) {
+    const match = biomeArgs[i].match(/^--(only|skip)(?:=(.*))?$/);
+    if (!match) continue;
+    const selector = match[2] === undefined ? biomeArgs[++i] : match[2];
+    (match[1] === "only" ? only : skip).push(
+      selector.startsWith("lint/") ? selector : `lint/${selector}`
+    );
+  }
+
+  const matches = (rule, selector) =>
+    rule === selector || rule.startsWith(`${selector}/`);
+  return (rule) =>
+    (only.length === 0 || only.some((selector) => matches(rule, selector))) &&
+    !skip.some((selector) => matches(rule, selector));
+}
+
+// Parse command line arguments; config values are defaults the flags override
+function parseArgs(args, config = {}) {
+  const options = {
+    files: [],
+    write: false, // Default to check-only mode (like biome check)
+    skipSuppressionUpdate: false,
+    prune: false, // Prune stale baseline entries before comparing
+    suppressionFailOnImprovement: config.failOnImprovement === true,
+    gitMode: null, // "staged", "changed" or "since"
+    since: null,
+    outputFormat: config.outputFormat || "text",
+    outputFile: null,
+    against: null, // Git ref whose committed baseline check compares with
+    blame: config.blame === true, // Annotate new errors with git blame
+    failOnChangedLines: null, // Git ref: only new errors on lines changed since fail
+    baselineFor: "check", // Which command's baseline init/update/status use
+    baselineFile: config.baseline || BASELINE_FILE,
+    biomeBinary: config.biome || null, // null = local install, else npx
+    biomeArgs: [], // Unrecognized flags, forwarded to biome
+    // Severities recorded in the baseline, and those whose new occurrences fail
+    baselineSeverities: config.baselineSeverities || ["error"],
+    failSeverities: config.failSeverities || ["error"],
+    deny: config.deny || [], // Rules that may never be baselined
+    budgets: config.budgets || {}, // Maximum baselined errors per rule/path
+    codeowners: config.codeowners !== false, // Owners from CODEOWNERS
+    expiryWarningDays: config.expiryWarningDays ?? 14, // Warn this early
+    rules: [], // list and stats: rule patterns to include
+    paths: [], // list and stats: file patterns to include
+    top: null, // stats: rows per table
+    dryRun: false, // export-ignores and import-ignores: only print the diff
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    // Value of "--flag value" or "--flag=value"
+    const takeValue = (flag) =>
+      arg === flag ? args[++i] : arg.slice(flag.length + 1);
+    const isFlag = (flag) => arg === flag || arg.startsWith(`${flag}=`);
+    if (arg === "--write" || arg === "--fix") {
+      options.write = true;
+    } else if (arg === "--prune") {
+      options.prune = true;
+    } else if (arg === "--dry-run") {
+      options.dryRun = true;
+    } else if (arg === "--skip-suppression-update") {
+      options.skipSuppressionUpdate = true;
+    } else if (arg === "--suppression-fail-on-improvement") {
+      options.suppressionFailOnImprovement = true;
+    } else if (arg === "--no-suppression-fail-on-improvement") {
+      options.suppressionFailOnImprovement = false;
+    } else if (isFlag("--baseline")) {
+      options.baselineFile = takeValue("--baseline");
+      if (!options.baselineFile) {
+        console.error("❌ --baseline requires a path");
+        process.exit(1);
+      }
+    } else if (isFlag("--biome-binary")) {
+      options.biomeBinary = takeValue("--biome-binary");
+      if (!options.biomeBinary) {
+        console.error("❌ --biome-binary requires a path");
+        process.exit(1);
+      }
+    } else if (arg === "--staged" || arg === "--changed") {
+      options.gitMode = arg.slice(2);
+    } else if (isFlag("--since")) {
+      options.gitMode = "since";
+      options.since = takeValue("--since");
+      if (!options.since) {
+        console.error(
+          "❌ --since requires a git ref (e.g. --since origin/main)"
+        );
+        process.exit(1);
+      }
+    } else if (arg === "--blame" || arg === "--no-blame") {
+      options.blame = arg === "--blame";
+    } else if (isFlag("--fail-on-changed-lines")) {
+      options.failOnChangedLines = takeValue("--fail-on-changed-lines");
+      if (!options.failOnChangedLines) {
+        console.error(
+          "❌ --fail-on-changed-lines requires a git ref (e.g. --fail-on-changed-lines origin/main)"
+        );
+        process.exit(1);
+      }
+    } else if (isFlag("--against")) {
+      options.against = takeValue("--against");
+      if (!options.against) {
+        console.error(
+          "❌ --against requires a git ref (e.g. --against origin/main)"
+        );
+        process.exit(1);
+      }
+    } else if (isFlag("--rule") || isFlag("--path")) {
+      const flag = arg.startsWith("--rule") ? "--rule" : "--path";
+      const pattern = takeValue(flag);
+      if (!pattern) {
+        console.error(`❌ ${flag} requires a pattern`);
+        process.exit(1);
+      }
+      options[flag === "--rule" ? "rules" : "paths"].push(pattern);
+    } else if (isFlag("--top")) {
+      options.top = Number(takeValue("--top"));
+      if (!Number.isInteger(options.top) || options.top < 1) {
+        console.error("❌ --top requires a positive number");
+        process.exit(1);
+      }
+    } else if (isFlag("--output-format")) {
+      options.outputFormat = takeValue("--output-format");
+      if (!OUTPUT_FORMATS.includes(options.outputFormat)) {
+        console.error(
+          `❌ --output-format must be one of: ${OUTPUT_FORMATS.join(", ")}`
+        );
+        process.exit(1);
+      }
+    } else if (isFlag("--output-file")) {
+      options.outputFile = takeValue("--output-file");
+      if (!options.outputFile) {
+        console.error("❌ --output-file requires a path");
+        process.exit(1);
+      }
+    } else if (isFlag("--for")) {
+      options.baselineFor = takeValue("--for");
+      if (!BIOME_COMMANDS.includes(options.baselineFor)) {
+        console.error(`❌ --for must be one of: ${BIOME_COMMANDS.join(", ")}`);
+        process.exit(1);
+      }
+    } else if (isFlag("--baseline-severities")) {
+      options.baselineSeverities = parseSeverities(
+        takeValue("--baseline-severities"),
+        "--baseline-severities"
+      );
+    } else if (isFlag("--fail-severities")) {
+      options.failSeverities = parseSeverities(
+        takeValue("--fail-severities"),
+        "--fail-severities"
+      );
+    } else if (isFlag("--reporter")) {
+      if (arg === "--reporter") i++;
+      console.warn(
+        "⚠️  Ignoring --reporter: biome-suppressed reads biome's own reports (use --output-format)"
+      );
+    } else if (arg.startsWith("-") && arg !== "-") {
+      // Forward anything we don't recognize to biome, with its value
+      options.biomeArgs.push(arg);
+      if (!arg.includes("=") && takesBiomeValue(arg) && i + 1 < args.length) {
+        options.biomeArgs.push(args[++i]);
+      }
+    } else {
+      options.files.push(arg);
+    }
+  }
+
+  if (options.gitMode) {
+    // Restrict git's file list to any explicitly given paths
+    const scope = normalizeScope(
+      options.files.length > 0 ? options.files : ["."]
+    );
+    options.files = getGitChangedFiles(options.gitMode, options.since).filter(
+      (file) => isInScope(file, scope)
+    );
+    options.files = sanitizeFilePaths(options.files);
+    return options; // An empty list is valid: nothing changed
+  }
+
+  // Default to the configured targets, or the current directory
+  if (options.files.length === 0) {
+    options.files = config.files || ["."];
+  }
+
+  // Sanitize file paths
+  options.files = sanitizeFilePaths(options.files);
+
+  if (options.files.length === 0) {
+    console.error("❌ No valid files or directories found");
+    process.exit(1);
+  }
+
+  return options;
+}
+
+// Convert CLI targets to cwd-relative, forward-slash scope paths ("" = all)
+function normalizeScope(files, cwd = process.cwd()) {
+  return files.map((file) =>
+    path.relative(cwd, path.resolve(cwd, file)).replace(/\\/g, "/")
+  );
+}
+
+// Check whether a file lies inside one of the scope paths
+function isInScope(file, scope) {
+  return scope.some(
+    (target) =>
+      target === "" || file === target || file.startsWith(`${target}/`)
+  );
+}
+
+// Split a baseline into the part covered by the scope (and error filter) and
+// the entries outside it, which scoped runs must carry over untouched
+function partitionBaseline(baseline, scope, errorFilter = () => true) {
+  const inside = [];
+  const outside = [];
+  for (const error of baseline.errors) {
+    if (isInScope(error.file, scope) && errorFilter(error)) {
+      inside.push(error);
+    } else {
+      outside.push(error);
+    }
+  }
+
+  return {
+    scoped: {
+      ...baseline,
+      fingerprints: assignOccurrences(inside).map(createErrorFingerprint),
+      errors: inside,
+    },
+    outside,
+  };
+}
+
+const SEVERITIES = ["error", "warning", "info"];
+
+// Entries written before severities were tracked are errors
+function getSeverity(error) {
+  return error.severity || "error";
+}
+
+// Parse a comma-separated severity list from a CLI flag
+function parseSeverities(value, flag) {
+  const severities = (value || "").split(",").filter(Boolean);
+  const invalid = severities.filter((s) => !SEVERITIES.includes(s));
+  if (severities.length === 0 || invalid.length > 0) {
+    console.error(
+      `❌ ${flag} expects a comma-separated list of: ${SEVERITIES.join(", ")}`
+    );
+    process.exit(1);
+  }
+  return severities;
+}
+
+// Severities that are compared and baselined: anything that can fail a run
+// must be tracked, or every existing occurrence would count as new
+function getTrackedSeverities(options) {
+  return SEVERITIES.filter(
+    (severity) =>
+      options.baselineSeverities.includes(severity) ||
+      options.failSeverities.includes(severity)
+  );
+}
+
+// Predicate for errors a run is responsible for: a rule biome actually ran,
+// at a tracked severity. Deny-listed rules fail at any severity, so they are
+// kept regardless.
+function createErrorFilter(options) {
+  const ruleFilter = createRuleFilter(options.biomeArgs);
+  const tracked = getTrackedSeverities(options);
+  const deny = options.deny || [];
+  return (error) =>
+    ruleFilter(error.rule) &&
+    (tracked.includes(getSeverity(error)) || isDeniedRule(error.rule, deny));
+}
+
+// Match a rule or file against a config pattern: a glob ("*" stays within a
+// segment, "**" spans them) or a plain name that also covers nested entries
+function matchesPattern(value, pattern) {
+  if (!/[*?]/.test(pattern)) {
+    const prefix = pattern.replace(/\/$/, "");
+    return value === prefix || value.startsWith(`${prefix}/`);
+  }
+  const source = pattern
+    .split(/(\*\*\/|\*\*|\*|\?)/)
+    .map((part) => {
+      if (part === "**/") return "(?:.*/)?";
+      if (part === "**") return ".*";
+      if (part === "*") return "[^/]*";
+      if (part === "?") return "[^/]";
+      return part.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${source}$`).test(value);
+}
+
+// Whether a rule is on the config deny-list
+function isDeniedRule(rule, deny) {
+  return deny.some((pattern) => matchesPattern(rule, pattern));
+}
+
+// Per-rule and per-path budgets exceeded by the given baseline entries
+function findBudgetOverruns(errors, budgets) {
+  const overruns = [];
+  for (const [kind, key] of [
+    ["rules", "rule"],
+    ["paths", "file"],
+  ]) {
+    for (const [pattern, max] of Object.entries(budgets[kind] || {})) {
+      const count = errors.filter((error) =>
+        matchesPattern(error[key], pattern)
+      ).length;
+      if (count > max) overruns.push({ kind, pattern, max, count });
+    }
+  }
+  return overruns;
+}
+
+// Explain deny-list and budget failures
+function displayPolicyViolations(denied, overruns) {
+  if (denied.length > 0) {
+    console.error(
+      `🚫 Found ${denied.length} error${denied.length === 1 ? "" : "s"} from rules that can't be baselined (fix them; they always fail):`
+    );
+    console.error("");
+    Object.entries(groupBy(denied, "rule")).forEach(([rule, errors]) => {
+      console.error(`  ${rule}:`);
+      errors.forEach((error) => {
+        console.error(`    ${error.file}:${error.line}`);
+      });
+    });
+    console.error("");
+  }
+  if (overruns.length > 0) {
+    console.error("📉 Baseline budgets exceeded:");
+    overruns.forEach(({ kind, pattern, max, count }) => {
+      console.error(
+        `  ${kind === "rules" ? "rule" : "path"} ${pattern}: ${count} baselined (max ${max})`
+      );
+    });
+    console.error("");
+  }
+}
+
+// Where GitHub and GitLab look for CODEOWNERS, in order
+const CODEOWNERS_PATHS = [
+  ".github/CODEOWNERS",
+  "CODEOWNERS",
+  "docs/CODEOWNERS",
+];
+
+// Parse CODEOWNERS into pattern → owners rules (later rules win)
+function parseCodeowners(content) {
+  return content
+    .split(/\r?\n/)
+    .map((line) => line.replace(/(^|\s)#.*$/, "").trim())
+    .filter(Boolean)
+    .map((line) => {
+      const [pattern, ...owners] = line.split(/\s+/);
+      return { pattern, owners };
+    });
+}
+
+function loadCodeowners(cwd = process.cwd()) {
+  const file = CODEOWNERS_PATHS.map((candidate) =>
+    path.join(cwd, candidate)
+  ).find((candidate) => fs.existsSync(candidate));
+  return file ? parseCodeowners(fs.readFileSync(file, "utf8")) : [];
+}
+
+// Match a file against a CODEOWNERS pattern: gitignore-style, so patterns
+// without a slash match at any depth and directories cover their contents
+function matchesCodeownersPattern(file, pattern) {
+  const trimmed = pattern.replace(/\/+$/, "");
+  let glob = trimmed;
+  if (trimmed.startsWith("/")) glob = trimmed.slice(1);
+  else if (!trimmed.includes("/")) glob = `**/${trimmed}`;
+  return matchesPattern(file, glob) || matchesPattern(file, `${glob}/**`);
+}
+
+// Owners of a file from the last matching CODEOWNERS rule
+function findCodeowners(file, codeowners) {
+  const rule = [...codeowners]
+    .reverse()
+    .find((candidate) => matchesCodeownersPattern(file, candidate.pattern));
+  return rule && rule.owners.length > 0 ? rule.owners.join(" ") : null;
+}
+
+const METADATA_FIELDS = ["owner", "reason", "expires"];
+
+// Problems with the baseline's hand-written metadata. A mistyped expiry must
+// not silently disable a deadline, so these fail check.
+function validateBaselineMetadata(metadata) {
+  if (metadata === undefined) return [];
+  if (!isPlainObject(metadata)) return ['"metadata" must be an object'];
+  const problems = [];
+  for (const [kind, patterns] of Object.entries(metadata)) {
+    if (kind !== "rules" && kind !== "paths") {
+      problems.push(`unknown key "${kind}" (use "rules" or "paths")`);
+      continue;
+    }
+    for (const [pattern, value] of Object.entries(patterns || {})) {
+      const label = `${kind}["${pattern}"]`;
+      if (!isPlainObject(value)) {
+        problems.push(`${label} must be an object`);
+        continue;
+      }
+      for (const [field, fieldValue] of Object.entries(value)) {
+        if (!METADATA_FIELDS.includes(field)) {
+          problems.push(`${label} has unknown field "${field}"`);
+        } else if (typeof fieldValue !== "string" || fieldValue === "") {
+          problems.push(`${label}.${field} must be a non-empty string`);
+        }
+      }
+      if (
+        typeof value.expires === "string" &&
+        !(
+          /^\d{4}-\d{2}-\d{2}$/.test(value.expires) &&
+          !Number.isNaN(Date.parse(value.expires)) &&
+          new Date(value.expires).toISOString().startsWith(value.expires)
+        )
+      ) {
+        problems.push(`${label}.expires must be a YYYY-MM-DD date`);
+      }
+    }
+  }
+  return problems;
+}
+
+// Owner, reason and expiry of a baseline entry: matching path metadata, with
+// matching rule metadata on top, and the earliest expiry of any match. The
+// owner falls back to CODEOWNERS.
+function getEntryMetadata(error, metadata = {}, codeowners = []) {
+  const matches = [
+    ...Object.entries(metadata.paths || {}).filter(([pattern]) =>
+      matchesPattern(error.file, pattern)
+    ),
+    ...Object.entries(metadata.rules || {}).filter(([pattern]) =>
+      matchesPattern(error.rule, pattern)
+    ),
+  ].map(([, value]) => value);
+  const entry = Object.assign({}, ...matches);
+  const [expires] = matches
+    .map((match) => match.expires)
+    .filter(Boolean)
+    .sort();
+  if (expires) entry.expires = expires;
+  if (!entry.owner) {
+    const owner = findCodeowners(error.file, codeowners);
+    if (owner) entry.owner = owner;
+  }
+  return entry;
+}
+
+// Date (YYYY-MM-DD, UTC) a number of days after another
+function addDays(date, days) {
+  return new Date(Date.parse(date) + days * 86_400_000)
+    .toISOString()
+    .slice(0, 10);
+}
+
+// Baseline entries past their expiry and entries expiring within the warning
+// window, with their metadata. An entry expiring today is still valid.
+function findExpiringEntries(
+  errors,
+  metadata,
+  {
+    today = new Date().toISOString().slice(0, 10),
+    warningDays = 14,
+    codeowners,
+  }
+) {
+  const expired = [];
+  const expiring = [];
+  const warnUntil = addDays(today, warningDays);
+  for (const error of errors) {
+    const entry = {
+      ...error,
+      ...getEntryMetadata(error, metadata, codeowners),
+    };
+    if (!entry.expires) continue;
+    if (entry.expires < today) expired.push(entry);
+    else if (entry.expires <= warnUntil) expiring.push(entry);
+  }
+  return { expired, expiring };
+}
+
+// List entries with metadata grouped by owner
+function displayEntriesByOwner(entries, describe) {
+  const byOwner = groupBy(
+    entries.map((entry) => ({ ...entry, owner: entry.owner || "(no owner)" })),
+    "owner"
+  );
+  Object.entries(byOwner)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .forEach(([owner, ownerEntries]) => {
+      console.error(`  ${owner} (${ownerEntries.length}):`);
+      ownerEntries.forEach((entry) => {
+        console.error(
+          `    ${entry.file}:${entry.line} ${entry.rule} (${describe(entry)}${entry.reason ? `: ${entry.reason}` : ""})`
+        );
+      });
+    });
+  console.error("");
+}
+
+// Explain expired and soon-expiring suppressions
+function displayExpiringEntries({ expired, expiring }, warningDays) {
+  if (expiring.length > 0) {
+    console.error(
+      `⏳ ${expiring.length} suppressed error${expiring.length === 1 ? "" : "s"} expire${expiring.length === 1 ? "s" : ""} within ${warningDays} day${warningDays === 1 ? "" : "s"}:`
+    );
+    displayEntriesByOwner(expiring, (entry) => `expires ${entry.expires}`);
+  }
+  if (expired.length > 0) {
+    console.error(
+      `⏰ ${expired.length} suppressed error${expired.length === 1 ? " is" : "s are"} past ${expired.length === 1 ? "its" : "their"} expiry (fix them, or extend the expiry in the baseline's "metadata"):`
+    );
+    displayEntriesByOwner(expired, (entry) => `expired ${entry.expires}`);
+  }
+}
+
+// Split new errors after a biome upgrade. With git history, errors on lines
+// untouched since the baseline's commit come from the upgrade; without it,
+// only errors from rules the baseline has never seen are attributed to it.
+function classifyUpgradeErrors(newErrors, baseline, changedLines) {
+  const knownRules = new Set((baseline.errors || []).map((e) => e.rule));
+  const upgradeErrors = [];
+  const codeErrors = [];
+  for (const error of newErrors) {
+    const fromUpgrade = changedLines
+      ? !isOnChangedLine(error, changedLines)
+      : !knownRules.has(error.rule);
+    (fromUpgrade ? upgradeErrors : codeErrors).push(error);
+  }
+  return { upgradeErrors, codeErrors, knownRules };
+}
+
+// Classify new errors against the git history of the baseline file
+function findUpgradeErrors(newErrors, baseline, baselinePath) {
+  const commit = getBaselineCommit(baselinePath);
+  let changedLines = null;
+  if (commit) {
+    try {
+      changedLines = getChangedLines(commit, [
+        ...new Set(newErrors.map((e) => e.file)),
+      ]);
+    } catch {
+      // Fall back to rule-based classification
+    }
+  }
+  return {
+    ...classifyUpgradeErrors(newErrors, baseline, changedLines),
+    usedGit: changedLines !== null,
+  };
+}
+
+// List upgrade-induced errors per rule, flagging rules new to the baseline
+function displayUpgradeErrors(upgradeErrors, knownRules) {
+  Object.entries(groupBy(upgradeErrors, "rule")).forEach(([rule, errors]) => {
+    console.error(
+      `   ${rule}${knownRules.has(rule) ? "" : " (new rule)"}: ${errors.length}`
+    );
+  });
+}
+
+// Strip the "Version: " prefix of `biome --version` for display
+function formatBiomeVersion(version) {
+  return (version || "unknown").replace(/^Version:\s*/, "");
+}
+
+// Command suffix selecting a non-default baseline
+function describeBaselineFor(command) {
+  return command === "check" || command === "ci" ? "" : ` --for ${command}`;
+}
+
+// After a biome upgrade, point out which new errors it likely caused
+function displayUpgradeHint(newErrors, baseline, baselinePath, command) {
+  const { upgradeErrors, knownRules } = findUpgradeErrors(
+    newErrors,
+    baseline,
+    baselinePath
+  );
+  if (upgradeErrors.length === 0) return;
+  const codeCount = newErrors.length - upgradeErrors.length;
+  console.error(
+    `   ${upgradeErrors.length} of the new errors look upgrade-induced:`
+  );
+  displayUpgradeErrors(upgradeErrors, knownRules);
+  console.error(
+    `   Run \`bs upgrade${describeBaselineFor(command)}\` to baseline them${codeCount > 0 ? `; the other ${codeCount} still need${codeCount === 1 ? "s" : ""} fixing` : ""}`
+  );
+}
+
+// Describe the scope for console output
+function describeScope(scope) {
+  if (scope.length === 0) return " in no files";
+  return scope.includes("") ? "" : ` in ${scope.join(", ")}`;
+}
+
+// Describe a git-driven file selection, e.g. "staged" or "changed since main"
+function describeGitMode(options) {
+  return options.gitMode === "since"
+    ? `changed since ${options.since}`
+    : options.gitMode;
+}
+
+// Git-driven modes may legitimately select no files. Biome would check the
+// whole project without paths, so commands that run it stop early.
+function hasNoGitFiles(options, action, log = console.log) {
+  if (!options.gitMode || options.files.length > 0) return false;
+  log(`✅ No files ${describeGitMode(options)} to ${action}`);
+  return true;
+}
+
+// Token-efficient error display; non-failing severities are listed as a
+// heads-up without the fix instructions
+function displayNewErrors(newErrors, command = "check", failing = true) {
+  console.error(
+    failing
+      ? `❌ Found ${newErrors.length} new error${newErrors.length > 1 ? "s" : ""}:`
+      : `⚠️  Found ${newErrors.length} new non-failing diagnostic${newErrors.length > 1 ? "s" : ""}:`
+  );
+  console.error("");
+
+  // Group by rule for better UX
+  const byRule = groupBy(newErrors, "rule");
+
+  Object.entries(byRule).forEach(([rule, errors]) => {
+    const severity = getSeverity(errors[0]);
+    console.error(
+      `  ${rule}${severity === "error" ? "" : ` [${severity}]`} (${errors.length} error${errors.length > 1 ? "s" : ""}):`
+    );
+    errors.forEach((error) => {
+      console.error(
+        `    ${error.file}:${error.line}${formatBlame(error.blame)}`
+      );
+    });
+    console.error("");
+  });
+  if (!failing) return;
+
+  // Actionable next steps
+  const files = [...new Set(newErrors.map((e) => e.file))];
+  const fixCommand = command === "ci" ? "check" : command;
+  console.error(
+    `Fix the issues then run: npx biome ${fixCommand} --write ${files.join(" ")}`
+  );
+}
+
+// Set-based comparison: new = current not in baseline, fixed = baseline not
+// in current. remainingErrors is what the baseline may shrink to; it never
+// contains a fingerprint that wasn't already baselined.
+function compareWithBaseline(baseline, currentErrors) {
+  const baselineFingerprints = new Set(baseline.fingerprints);
+  const currentFingerprints = new Set(
+    currentErrors.map(createErrorFingerprint)
+  );
+
+  const newErrors = [];
+  const remainingErrors = [];
+  for (const error of currentErrors) {
+    if (baselineFingerprints.has(createErrorFingerprint(error))) {
+      remainingErrors.push(error);
+    } else {
+      newErrors.push(error);
+    }
+  }
+
+  const fixedFingerprints = baseline.fingerprints.filter(
+    (fp) => !currentFingerprints.has(fp)
+  );
+  const fixedErrors = assignOccurrences(baseline.errors || []).filter(
+    (error) => !currentFingerprints.has(createErrorFingerprint(error))
+  );
+
+  return { newErrors, fixedFingerprints, fixedErrors, remainingErrors };
+}
+
+// Compare the part of a baseline inside the scope with the current errors.
+// Policies apply too: denied rules fail even when baselined, budgets cap
+// the whole baseline the comparison would leave, and remaining entries are
+// checked against their expiry.
+function compareScopedBaseline(
+  fullBaseline,
+  currentErrors,
+  { scope, errorFilter, deny, budgets, expiry = {} }
+) {
+  const { scoped: baseline, outside } = partitionBaseline(
+    fullBaseline,
+    scope,
+    errorFilter
+  );
+  const comparison = compareWithBaseline(baseline, currentErrors);
+  const { remainingErrors } = comparison;
+  return {
+    ...comparison,
+    baseline,
+    outside,
+    deniedErrors: remainingErrors.filter((error) =>
+      isDeniedRule(error.rule, deny)
+    ),
+    overruns: findBudgetOverruns([...outside, ...remainingErrors], budgets),
+    ...findExpiringEntries(remainingErrors, fullBaseline.metadata, expiry),
+  };
+}
+
+// Column and end position, known for errors reported by biome's JSON reporter
+// (baseline entries only store the line)
+function getErrorRange(error) {
+  if (!error.column) return null;
+  return {
+    column: error.column,
+    endLine: error.endLine,
+    endColumn: error.endColumn,
+  };
+}
+
+// Strip internal fields from an error for machine-readable reports
+function toReportError(error) {
+  return {
+    rule: error.rule,
+    file: error.file,
+    line: error.line,
+    ...getErrorRange(error),
+    message: error.message,
+    severity: getSeverity(error),
+    fingerprint: createErrorFingerprint(error),
+    ...(error.blame && { blame: error.blame }),
+  };
+}
+
+// JSON report: new / fixed / suppressed lists with counts
+function formatJsonReport(report) {
+  return JSON.stringify(
+    {
+      summary: {
+        new: report.newErrors.length,
+        fixed: report.fixedErrors.length,
+        suppressed: report.suppressedErrors.length,
+        baseline: report.baselineCount,
+        current: report.currentCount,
+      },
+      new: report.newErrors.map(toReportError),
+      fixed: report.fixedErrors.map(toReportError),
+      suppressed: report.suppressedErrors.map(toReportError),
+    },
+    null,
+    2
+  );
+}
+
+// Biome documents lint rules at /linter/rules/<kebab-case-name>
+function getRuleHelpUri(rule) {
+  const match = rule.match(/^lint\/[^/]+\/(.+)$/);
+  if (!match) return;
+  const name = match[1].replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`);
+  return `https://biomejs.dev/linter/rules/${name}`;
+}
+
+// SARIF 2.1.0 report; baselined errors are marked as externally suppressed
+function formatSarifReport(report) {
+  const levels = { error: "error", warning: "warning", info: "note" };
+  const toResult = (error, suppressed) => ({
+    ruleId: error.rule,
+    level: levels[getSeverity(error)],
+    message: { text: error.message },
+    locations: [
+      {
+        physicalLocation: {
+          artifactLocation: { uri: encodeURI(error.file) },
+          region: {
+            startLine: error.line,
+            ...(error.column && {
+              startColumn: error.column,
+              endLine: error.endLine,
+              endColumn: error.endColumn,
+            }),
+          },
+        },
+      },
+    ],
+    partialFingerprints: {
+      "biomeSuppressed/v2": createErrorFingerprint(error),
+    },
+    baselineState: suppressed ? "unchanged" : "new",
+    ...(suppressed && {
+      suppressions: [
+        {
+          kind: "external",
+          status: "accepted",
+          justification: `Baselined in ${report.baselinePath || BASELINE_FILE}`,
+        },
+      ],
+    }),
+  });
+
+  const errors = [...report.newErrors, ...report.suppressedErrors];
+  const rules = [...new Set(errors.map((e) => e.rule))].sort().map((id) => ({
+    id,
+    ...(getRuleHelpUri(id) && { helpUri: getRuleHelpUri(id) }),
+  }));
+
+  return JSON.stringify(
+    {
+      $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+      version: "2.1.0",
+      runs: [
+        {
+          tool: {
+            driver: {
+              name: "biome-suppressed",
+              version: PACKAGE_VERSION,
+              informationUri: "https://github.com/a-c-m/biome-suppressed",
+              rules,
+            },
+          },
+          results: [
+            ...report.newErrors.map((error) => toResult(error, false)),
+            ...report.suppressedErrors.map((error) => toResult(error, true)),
+          ],
+        },
+      ],
+    },
+    null,
+    2
+  );
+}
+
+// Escape text for XML attributes and content
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// JUnit XML report: new errors fail, baselined errors (and new errors of
+// non-failing severities or exempt by --fail-on-changed-lines) are skipped
+function formatJunitReport(report) {
+  const failSeverities = report.failSeverities || SEVERITIES;
+  const exempt = new Set(report.exemptErrors);
+  const isFailing = (error) =>
+    failSeverities.includes(getSeverity(error)) && !exempt.has(error);
+  const testcase = (error, body) =>
+    `    <testcase classname="${escapeXml(error.file)}" name="${escapeXml(`${error.rule}:${error.line}`)}">\n      ${body}\n    </testcase>`;
+
+  const failures = report.newErrors.filter(isFailing);
+  const skipped = [
+    ...report.newErrors.filter((error) => !isFailing(error)),
+    ...report.suppressedErrors,
+  ];
+  const cases = [
+    ...failures.map((error) =>
+      testcase(
+        error,
+        `<failure type="${escapeXml(error.rule)}" message="${escapeXml(error.message)}">${escapeXml(`${error.file}:${error.line} ${error.message}`)}</failure>`
+      )
+    ),
+    ...report.newErrors
+      .filter((error) => !isFailing(error))
+      .map((error) =>
+        testcase(
+          error,
+          exempt.has(error)
+            ? '<skipped message="New error on an unchanged line (not failing)"/>'
+            : `<skipped message="New ${escapeXml(getSeverity(error))} (not failing)"/>`
+        )
+      ),
+    ...report.suppressedErrors.map((error) =>
+      testcase(error, '<skipped message="Suppressed by baseline"/>')
+    ),
+  ];
+  if (cases.length === 0) {
+    cases.push('    <testcase classname="biome-suppressed" name="No errors"/>');
+  }
+
+  const tests = Math.max(1, failures.length + skipped.length);
+  const counts = `tests="${tests}" failures="${failures.length}" skipped="${skipped.length}"`;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="biome-suppressed" ${counts}>`,
+    `  <testsuite name="biome-suppressed" ${counts}>`,
+    ...cases,
+    "  </testsuite>",
+    "</testsuites>",
+  ].join("\n");
+}
+
+// Escape GitHub workflow command data (and properties, which also need : ,)
+function escapeGitHubCommand(value, isProperty = false) {
+  const escaped = String(value)
+    .replace(/%/g, "%25")
+    .replace(/\r/g, "%0D")
+    .replace(/\n/g, "%0A");
+  return isProperty
+    ? escaped.replace(/:/g, "%3A").replace(/,/g, "%2C")
+    : escaped;
+}
+
+// GitHub Actions annotations for new errors only
+function formatGitHubReport(report) {
+  const levels = { error: "error", warning: "warning", info: "notice" };
+  return report.newErrors
+    .map((error) => {
+      const range = getErrorRange(error);
+      const position = range
+        ? `,endLine=${range.endLine},col=${range.column},endColumn=${range.endColumn}`
+        : "";
+      return `::${levels[getSeverity(error)]} title=${escapeGitHubCommand(error.rule, true)},file=${escapeGitHubCommand(error.file, true)},line=${error.line}${position}::${escapeGitHubCommand(error.message)}`;
+    })
+    .join("\n");
+}
+
+// Render a check report in a machine-readable format
+function formatReport(format, report) {
+  switch (format) {
+    case "json":
+      return formatJsonReport(report);
+    case "sarif":
+      return formatSarifReport(report);
+    case "junit":
+      return formatJunitReport(report);
+    case "github":
+      return formatGitHubReport(report);
+    default:
+      throw new Error(
+        `Unknown output format "${format}" (expected one of: ${OUTPUT_FORMATS.join(", ")})`
+      );
+  }
+}
+
+// Escape a value for a Markdown table cell
+function escapeMarkdownCell(value) {
+  return String(value).replace(/\|/g, "\\|").replace(/\n/g, " ");
+}
+
+// Render a Markdown table, truncated to maxRows
+function markdownTable(headers, rows, maxRows = 50) {
+  const lines = [
+    `| ${headers.join(" | ")} |`,
+    `| ${headers.map((_, i) => (i === headers.length - 1 ? "---:" : "---")).join(" | ")} |`,
+    ...rows
+      .slice(0, maxRows)
+      .map((row) => `| ${row.map(escapeMarkdownCell).join(" | ")} |`),
+  ];
+  if (rows.length > maxRows) {
+    lines.push("", `_…and ${rows.length - maxRows} more_`);
+  }
+  return lines.join("\n");
+}
+
+// Group errors by rule and file into table rows: [rule, file, lines/count]
+function groupByRuleAndFile(errors, summarize) {
+  const groups = new Map();
+  for (const error of errors) {
+    const key = `${error.rule}\0${error.file}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(error);
+  }
+  return [...groups.values()].map((group) => [
+    `\`${group[0].rule}\``,
+    `\`${group[0].file}\``,
+    summarize(group),
+  ]);
+}
+
+// Markdown job summary: headline counts, new/fixed tables, top suppressed rules
+function formatMarkdownSummary(report) {
+  const plural = (count) => `error${count === 1 ? "" : "s"}`;
+  const newCount = report.newErrors.length;
+  const fixedCount = report.fixedErrors.length;
+  const suppressedCount = report.suppressedErrors.length;
+
+  const sections = [
+    "## biome-suppressed",
+    "",
+    `${newCount > 0 ? "❌" : "✅"} **${newCount} new ${plural(newCount)}** · 🎉 **${fixedCount} fixed** · 📊 **${suppressedCount} still suppressed** (baseline: ${report.baselineCount}, current: ${report.currentCount})`,
+  ];
+
+  if (newCount > 0) {
+    sections.push(
+      "",
+      "### ❌ New errors",
+      "",
+      markdownTable(
+        ["Rule", "File", "Lines"],
+        groupByRuleAndFile(report.newErrors, (group) =>
+          group.map((error) => error.line).join(", ")
+        )
+      )
+    );
+  }
+
+  if (fixedCount > 0) {
+    sections.push(
+      "",
+      "### 🎉 Fixed errors",
+      "",
+      markdownTable(
+        ["Rule", "File", "Fixed"],
+        groupByRuleAndFile(report.fixedErrors, (group) => group.length)
+      )
+    );
+  }
+
+  if (suppressedCount > 0) {
+    const byRule = Object.entries(groupBy(report.suppressedErrors, "rule"))
+      .map(([rule, errors]) => [`\`${rule}\``, errors.length])
+      .sort((a, b) => b[1] - a[1]);
+    sections.push(
+      "",
+      "### 📊 Top suppressed rules",
+      "",
+      markdownTable(["Rule", "Suppressed"], byRule, 10)
+    );
+  }
+
+  return `${sections.join("\n")}\n`;
+}
+
+// Append the Markdown summary to the GitHub Actions job summary, if available
+function writeStepSummary(report) {
+  const summaryFile = process.env.GITHUB_STEP_SUMMARY;
+  if (!summaryFile) return;
+  try {
+    fs.appendFileSync(summaryFile, formatMarkdownSummary(report));
+  } catch (error) {
+    console.warn(`Warning: Could not write job summary: ${error.message}`);
+  }
+}
+
+// Write the report to --output-file, or to stdout when no file is given,
+// and to the GitHub Actions job summary when running in Actions
+function emitReport(options, report) {
+  writeStepSummary(report);
+  if (options.outputFormat === "text") return;
+  const output = formatReport(options.outputFormat, report);
+  if (options.outputFile) {
+    fs.mkdirSync(path.dirname(path.resolve(options.outputFile)), {
+      recursive: true,
+    });
+    fs.writeFileSync(options.outputFile, `${output}\n`);
+    console.error(
+      `📄 ${options.outputFormat} report written to ${options.outputFile}`
+    );
+  } else if (output) {
+    process.stdout.write(`${output}\n`);
+  }
+}
+
+// Options of a CLI run in the shape resolveApiOptions produces, for the
+// check and baseline flows the CLI shares with the API
+function resolveCliContext(options, command) {
+  return {
+    cwd: process.cwd(),
+    command,
+    baselinePath: getBaselinePath(command, options.baselineFile),
+    files: options.files,
+    write: options.write,
+    // Git file lists may include files biome doesn't handle
+    biomeArgs: options.gitMode
+      ? [
+          ...options.biomeArgs,
+          "--no-errors-on-unmatched",
+          "--files-ignore-unknown=true",
+        ]
+      : options.biomeArgs,
+    biomeBinary: options.biomeBinary,
+    biomeVersion: null,
+    diagnostics: null,
+    baselineSeverities: options.baselineSeverities,
+    failSeverities: options.failSeverities,
+    deny: options.deny,
+    budgets: options.budgets,
+    failOnImprovement: options.suppressionFailOnImprovement,
+    updateBaseline: !options.skipSuppressionUpdate,
+    codeowners: options.codeowners,
+    expiryWarningDays: options.expiryWarningDays,
+    against: options.against,
+    prune: options.prune,
+    blame: options.blame,
+    failOnChangedLines: options.failOnChangedLines,
+    migrate: true, // The CLI upgrades old baselines in place
+  };
+}
+
+// Options a check can't run with, as an error message
+function findCheckConflict(context) {
+  if (context.command === "ci" && context.write) {
+    return "biome ci doesn't apply fixes; use `bs check --write`";
+  }
+  if (context.against && context.prune) {
+    return "--prune can't be combined with --against, which never changes the baseline";
+  }
+  return null;
+}
+
+// The working tree's baseline: migrated in place when `migrate` is set (the
+// CLI), read-only otherwise (the API)
+function loadRunBaseline(context) {
+  if (context.migrate) return loadBaseline(context.baselinePath);
+  if (!fs.existsSync(context.baselinePath)) return null;
+  return readBaselineFile(context.baselinePath, context.cwd).baseline;
+}
+
+// The check flow behind `bs check` and the API's check: compare the current
+// errors with the baseline, then create it or shrink it by the fixed
+// errors. Never prints; status is "created", "new-errors",
+// "policy-violation", "improved" or "clean", and exitCode is what the CLI
+// exits with.
+async function runCheck(context) {
+  const conflict = findCheckConflict(context);
+  if (conflict) throw new Error(conflict);
+  const { baselinePath, failSeverities, cwd } = context;
+  const errorFilter = createErrorFilter(context);
+  // Denied rules fail at any severity. With failOnChangedLines, other new
+  // errors only fail on lines changed since the merge-base with the ref.
+  const isDenied = (error) => isDeniedRule(error.rule, context.deny);
+  let changedLines = null;
+  const isFailing = (error) =>
+    (failSeverities.includes(getSeverity(error)) &&
+      (!changedLines || isOnChangedLine(error, changedLines))) ||
+    isDenied(error);
+
+  const currentErrors = await collectCurrentErrors(context);
+
+  // With `against` the committed baseline of that ref is trusted instead of
+  // the working tree's
+  let fullBaseline = context.against
+    ? loadBaselineAtRef(context.against, baselinePath, cwd)
+    : loadRunBaseline(context);
+  if (context.against && !fullBaseline) {
+    throw new Error(`No baseline found at ${context.against}`);
+  }
+  let pruned = null;
+  if (fullBaseline && context.prune) {
+    pruned = await pruneBaselineFile(baselinePath, fullBaseline, context);
+    fullBaseline = pruned.baseline;
+  }
+
+  if (!fullBaseline) {
+    const baselined = currentErrors.filter((error) => !isDenied(error));
+    if (context.updateBaseline) {
+      saveBaseline(
+        baselinePath,
+        baselined,
+        getRecordedBiomeVersion(context, null)
+      );
+    }
+    const budgetOverruns = findBudgetOverruns(baselined, context.budgets);
+    return {
+      status: "created",
+      exitCode:
+        currentErrors.some(isFailing) || budgetOverruns.length > 0 ? 1 : 0,
+      baselinePath,
+      baseline: null,
+      newErrors: currentErrors,
+      failingErrors: currentErrors.filter(isFailing),
+      exemptErrors: [],
+      fixedErrors: [],
+      suppressedErrors: [],
+      deniedErrors: currentErrors.filter(isDenied),
+      budgetOverruns,
+      expiredErrors: [],
+      expiringErrors: [],
+      baselineCount: 0,
+      currentCount: currentErrors.length,
+      baselineUpdated: context.updateBaseline,
+      pruned,
+    };
+  }
+
+  const metadataProblems = validateBaselineMetadata(fullBaseline.metadata);
+  if (metadataProblems.length > 0) {
+    throw new Error(
+      `Invalid "metadata" in ${baselinePath}: ${metadataProblems.join("; ")}`
+    );
+  }
+  const comparison = compareScopedBaseline(fullBaseline, currentErrors, {
+    scope: normalizeScope(context.files, cwd),
+    errorFilter,
+    deny: context.deny,
+    budgets: context.budgets,
+    expiry: {
+      today: context.today,
+      warningDays: context.expiryWarningDays,
+      codeowners: context.codeowners ? loadCodeowners(cwd) : [],
+    },
+  });
+  const { baseline, outside, fixedErrors, remainingErrors } = comparison;
+  const newErrors = context.blame
+    ? attachBlame(comparison.newErrors, null, cwd)
+    : comparison.newErrors;
+  if (context.failOnChangedLines && newErrors.length > 0) {
+    changedLines = getChangedLinesSince(
+      context.failOnChangedLines,
+      newErrors,
+      cwd
+    );
+  }
+  const failingErrors = newErrors.filter(isFailing);
+  const result = {
+    status: "clean",
+    exitCode: 0,
+    baselinePath,
+    baseline: fullBaseline,
+    newErrors,
+    failingErrors,
+    // New errors failOnChangedLines lets pass
+    exemptErrors: newErrors.filter(
+      (error) =>
+        failSeverities.includes(getSeverity(error)) && !isFailing(error)
+    ),
+    fixedErrors,
+    suppressedErrors: remainingErrors.filter((error) => !isDenied(error)),
+    deniedErrors: comparison.deniedErrors,
+    budgetOverruns: comparison.overruns,
+    expiredErrors: comparison.expired,
+    expiringErrors: comparison.expiring,
+    baselineCount: baseline.fingerprints.length,
+    currentCount: currentErrors.length,
+    // Pruning writes the file even when the check itself doesn't
+    baselineUpdated: pruned?.written === true,
+    pruned,
+  };
+
+  // New errors always fail, no matter how many old ones were fixed
+  if (failingErrors.length > 0) {
+    return { ...result, status: "new-errors", exitCode: 1 };
+  }
+  if (
+    result.deniedErrors.length > 0 ||
+    result.budgetOverruns.length > 0 ||
+    result.expiredErrors.length > 0
+  ) {
+    return { ...result, status: "policy-violation", exitCode: 1 };
+  }
+  if (comparison.fixedFingerprints.length === 0) return result;
+
+  // Improvement: shrink the baseline by the fixed fingerprints. A baseline
+  // read from another ref is never written.
+  if (context.against) return { ...result, status: "improved" };
+  if (context.failOnImprovement) {
+    return { ...result, status: "improved", exitCode: 1 };
+  }
+  if (context.updateBaseline) {
+    saveBaseline(
+      baselinePath,
+      [...outside, ...remainingErrors],
+      baseline.biomeVersion
+    );
+  }
+  return {
+    ...result,
+    status: "improved",
+    baselineUpdated: context.updateBaseline,
+  };
+}
+
+// Main check command logic, shared by the check, lint, format and ci wrappers
+async function checkCommand(args, command = "check", config = loadConfig()) {
+  const options = parseArgs(args, config);
+  const { files, write, gitMode, failSeverities } = options;
+  const context = resolveCliContext(options, command);
+
+  const conflict = findCheckConflict(context);
+  if (conflict) {
+    console.error(`❌ ${conflict}`);
+    return 1;
+  }
+
+  // Keep stdout clean when a machine-readable report is printed there
+  const log =
+    options.outputFormat !== "text" && !options.outputFile
+      ? console.error
+      : console.log;
+
+  if (hasNoGitFiles(options, "check", log)) return 0;
+
+  log(
+    `🔍 Running biome ${command}${write ? " with --write" : ""}${gitMode ? ` on ${files.length} file${files.length === 1 ? "" : "s"} ${describeGitMode(options)}` : ""}...`
+  );
+
+  let result;
+  try {
+    result = await runCheck(context);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 1;
+  }
+  const {
+    newErrors,
+    failingErrors,
+    fixedErrors,
+    suppressedErrors,
+    deniedErrors,
+    baselineCount,
+    currentCount,
+  } = result;
+
+  log(
+    `Found ${currentCount} error${currentCount === 1 ? "" : "s"}${write ? " (after fixes applied)" : ""}`
+  );
+  if (options.against) {
+    log(`📖 Comparing with the baseline at ${options.against}`);
+  }
+  if (result.pruned) displayPruneResult(result.pruned, log);
+
+  emitReport(options, {
+    baselinePath: result.baselinePath,
+    // A new baseline's denied errors are among its new errors
+    newErrors:
+      result.status === "created" ? newErrors : [...newErrors, ...deniedErrors],
+    fixedErrors,
+    suppressedErrors,
+    baselineCount,
+    currentCount,
+    failSeverities,
+    exemptErrors: result.exemptErrors,
+  });
+
+  if (result.status === "created") {
+    if (result.baselineUpdated) {
+      const baselined = currentCount - deniedErrors.length;
+      log("📊 No baseline found, creating initial baseline...");
+      log(
+        `✅ Baseline created with ${baselined} error${baselined === 1 ? "" : "s"}`
+      );
+    } else {
+      log("📊 No baseline found (not created: --skip-suppression-update)");
+    }
+    displayPolicyViolations(deniedErrors, result.budgetOverruns);
+    return result.exitCode;
+  }
+
+  // New errors of non-failing severities are reported but never baselined
+  const nonFailingErrors = newErrors.filter(
+    (error) => !failingErrors.includes(error)
+  );
+  if (nonFailingErrors.length > 0) {
+    displayNewErrors(nonFailingErrors, command, false);
+  }
+  displayPolicyViolations(deniedErrors, result.budgetOverruns);
+  displayExpiringEntries(
+    { expired: result.expiredErrors, expiring: result.expiringErrors },
+    options.expiryWarningDays
+  );
+  const fixedCount = fixedErrors.length;
+
+  if (result.status === "new-errors") {
+    displayNewErrors(failingErrors, command);
+    console.error(
+      `Baseline: ${baselineCount} error${baselineCount === 1 ? "" : "s"}, Current: ${currentCount} error${currentCount === 1 ? "" : "s"}`
+    );
+    // New errors right after a biome upgrade are often the upgrade's doing
+    const biomeVersion = getBiomeVersion(options.biomeBinary);
+    if (
+      biomeVersion !== "unknown" &&
+      biomeVersion !== result.baseline.biomeVersion
+    ) {
+      console.error(
+        `⬆️  Biome changed since the baseline was recorded (${formatBiomeVersion(result.baseline.biomeVersion)} → ${formatBiomeVersion(biomeVersion)})`
+      );
+      displayUpgradeHint(
+        failingErrors,
+        result.baseline,
+        result.baselinePath,
+        command
+      );
+    }
+    if (fixedCount > 0) {
+      console.error(
+        `(${fixedCount} baselined error${fixedCount === 1 ? "" : "s"} fixed; baseline is not updated while new errors remain)`
+      );
+    }
+    return 1; // Failure
+  }
+  if (result.status === "policy-violation") {
+    if (fixedCount > 0) {
+      console.error(
+        `(${fixedCount} baselined error${fixedCount === 1 ? "" : "s"} fixed; baseline is not updated while policy violations remain)`
+      );
+    }
+    return 1;
+  }
+
+  if (result.status === "improved") {
+    log(
+      `🎉 Improvement detected! ${baselineCount} → ${suppressedErrors.length} error${suppressedErrors.length === 1 ? "" : "s"} (-${fixedCount})`
+    );
+    if (options.against) {
+      log(`📊 Baseline not updated (checked against ${options.against})`);
+    } else if (result.exitCode !== 0) {
+      console.error(
+        "❌ Unexpected improvement detected in CI mode (--suppression-fail-on-improvement)"
+      );
+      console.error("   Fix the errors, then update the suppression with `yarn bs --write`");
+    } else if (result.baselineUpdated) {
+      log("📊 Baseline updated automatically");
+    } else {
+      log("📊 Baseline update skipped (--skip-suppression-update)");
+    }
+    return result.exitCode;
+  }
+
+  log(
+    `✅ No new errors (${suppressedErrors.length} existing error${suppressedErrors.length === 1 ? "" : "s"} suppressed)`
+  );
+  return 0;
+}
+
+// Fail when the baseline has entries the baseline at the base ref doesn't,
+// i.e. errors that were baselined instead of fixed
+function verifyCommand(args) {
+  const options = parseArgs(args, loadConfig());
+  if (!options.against) {
+    console.error(
+      "❌ bs verify requires --against <ref> (e.g. --against origin/main)"
+    );
+    return 1;
+  }
+  const baselinePath = getBaselinePath(
+    options.baselineFor,
+    options.baselineFile
+  );
+  // Verification never changes files, not even to migrate the baseline
+  const baseline = loadBaseline(baselinePath, { migrate: false });
+  if (!baseline) {
+    console.log("ℹ️  No baseline found");
+    return 0;
+  }
+
+  const baseBaseline = loadBaselineAtRef(options.against, baselinePath);
+  const baseFingerprints = new Set(baseBaseline?.fingerprints);
+  const added = assignOccurrences(baseline.errors).filter(
+    (error) => !baseFingerprints.has(createErrorFingerprint(error))
+  );
+  if (added.length === 0) {
+    console.log(
+      `✅ Baseline only contains entries from ${options.against} (${baseline.fingerprints.length} error${baseline.fingerprints.length === 1 ? "" : "s"})`
+    );
+    return 0;
+  }
+
+  console.error(
+    `❌ Baseline adds ${added.length} entr${added.length === 1 ? "y" : "ies"} not in the baseline at ${options.against}${baseBaseline ? "" : " (which has none)"}:`
+  );
+  console.error("");
+  Object.entries(groupBy(added, "rule")).forEach(([rule, errors]) => {
+    console.error(
+      `  ${rule} (${errors.length} error${errors.length > 1 ? "s" : ""}):`
+    );
+    errors.forEach((error) => {
+      console.error(`    ${error.file}:${error.line}`);
+    });
+    console.error("");
+  });
+  console.error("Fix these errors instead of adding them to the baseline");
+  return 1;
+}
+
+// Re-baseline after a biome upgrade: new errors the upgrade caused are
+// added, errors biome no longer reports are dropped, and new errors in
+// changed code still fail
+async function upgradeCommand(args) {
+  const options = parseArgs(args, loadConfig());
+  const command = options.baselineFor;
+  const baselinePath = getBaselinePath(command, options.baselineFile);
+  const fullBaseline = loadBaseline(baselinePath);
+  if (!fullBaseline) {
+    console.error(
+      `❌ No baseline found, run \`bs init${describeBaselineFor(command)}\` first`
+    );
+    return 1;
+  }
+  if (hasNoGitFiles(options, "upgrade")) return 0;
+
+  const biomeVersion = getBiomeVersion(options.biomeBinary);
+  if (biomeVersion === fullBaseline.biomeVersion) {
+    console.log(
+      `✅ Baseline already matches biome ${formatBiomeVersion(biomeVersion)}`
+    );
+    return 0;
+  }
+  console.log(
+    `⬆️  Upgrading baseline from biome ${formatBiomeVersion(fullBaseline.biomeVersion)} to ${formatBiomeVersion(biomeVersion)}...`
+  );
+
+  const errorFilter = createErrorFilter(options);
+  const currentErrors = (
+    await runBiomeForErrors(options.files, {
+      command,
+      biomeBinary: options.biomeBinary,
+      extraArgs: options.biomeArgs, // Never use --write for upgrade
+    })
+  ).filter(errorFilter);
+  const scope = normalizeScope(options.files);
+  const { scoped: baseline, outside } = partitionBaseline(
+    fullBaseline,
+    scope,
+    errorFilter
+  );
+  const { newErrors, fixedErrors, remainingErrors } = compareWithBaseline(
+    baseline,
+    currentErrors
+  );
+
+  // Denied rules are never baselined, even when the upgrade caused them
+  const isDenied = (error) => isDeniedRule(error.rule, options.deny);
+  const { upgradeErrors, codeErrors, knownRules, usedGit } = findUpgradeErrors(
+    newErrors.filter((error) => !isDenied(error)),
+    fullBaseline,
+    baselinePath
+  );
+  const saved = saveBaseline(
+    baselinePath,
+    [...outside, ...remainingErrors, ...upgradeErrors],
+    biomeVersion
+  );
+
+  if (!usedGit) {
+    console.log(
+      "ℹ️  Baseline has no git history: only errors from rules it has never seen count as upgrade-induced"
+    );
+  }
+  if (upgradeErrors.length > 0) {
+    console.log(
+      `📊 Baselined ${upgradeErrors.length} upgrade-induced error${upgradeErrors.length === 1 ? "" : "s"}:`
+    );
+    displayUpgradeErrors(upgradeErrors, knownRules);
+  }
+  if (fixedErrors.length > 0) {
+    console.log(
+      `🎉 Removed ${fixedErrors.length} error${fixedErrors.length === 1 ? "" : "s"} biome no longer reports`
+    );
+  }
+  console.log(
+    `✅ Baseline recorded with biome ${formatBiomeVersion(biomeVersion)} (${saved.fingerprints.length} total)`
+  );
+
+  // New errors in changed code (and denied rules) still fail
+  const failingErrors = codeErrors.filter((error) =>
+    options.failSeverities.includes(getSeverity(error))
+  );
+  const deniedErrors = newErrors.filter(isDenied);
+  const overruns = findBudgetOverruns(saved.errors, options.budgets);
+  if (failingErrors.length > 0) displayNewErrors(failingErrors, command);
+  displayPolicyViolations(deniedErrors, overruns);
+  return failingErrors.length > 0 ||
+    deniedErrors.length > 0 ||
+    overruns.length > 0
+    ? 1
+    : 0;
+}
+
+// Files listed under "Files processed" in biome's --verbose output, or null
+// when the list isn't there (e.g. biome failed)
+function parseProcessedFiles(output) {
+  const lines = output.split(/\r?\n/);
+  const start = lines.findIndex((line) => line.trim() === "i Files processed:");
+  if (start === -1) return null;
+  const files = new Set();
+  for (const line of lines.slice(start + 1)) {
+    const item = line.match(/^\s*- (.+)$/);
+    if (item) {
+      files.add(normalizeReportedPath(item[1].trim()));
+    } else if (line.trim() && !line.includes("The list is empty")) {
+      break;
+    }
+  }
+  return files;
+}
+
+// Drop baseline entries for deleted files or files biome now ignores, and
+// re-key entries for files git saw renamed since the baseline's last commit.
+// `complete` is false when biome couldn't tell which files it ignores.
+async function pruneBaseline(
+  baseline,
+  { baselinePath, command, biomeBinary, cwd = process.cwd() }
+) {
+  const commit = getBaselineCommit(baselinePath, cwd);
+  let renames = new Map();
+  if (commit) {
+    try {
+      renames = getGitRenames(commit, cwd);
+    } catch {
+      // Without rename information, moved files count as deleted
+    }
+  }
+
+  const removed = [];
+  const renamed = [];
+  const kept = new Map();
+  for (const [file, errors] of Object.entries(
+    groupBy(baseline.errors, "file")
+  )) {
+    if (fs.existsSync(path.resolve(cwd, file))) {
+      kept.set(file, errors);
+    } else if (
+      renames.has(file) &&
+      fs.existsSync(path.resolve(cwd, renames.get(file)))
+    ) {
+      const target = renames.get(file);
+      renamed.push({ from: file, to: target, count: errors.length });
+      kept.set(target, [
+        ...(kept.get(target) || []),
+        ...errors.map((error) => ({ ...error, file: target })),
+      ]);
+    } else {
+      removed.push({ file, count: errors.length, reason: "deleted" });
+    }
+  }
+
+  // Ask biome which of the remaining files it still processes
+  let complete = true;
+  if (kept.size > 0) {
+    const result = await runBiome([...kept.keys()], {
+      command: command === "ci" ? "check" : command,
+      biomeBinary,
+      cwd,
+      reporter: null,
+      extraArgs: [
+        "--verbose",
+        "--colors=off",
+        "--max-diagnostics=0",
+        "--no-errors-on-unmatched",
+        "--files-ignore-unknown=true",
+      ],
+    });
+    const processed = parseProcessedFiles(`${result.stdout}\n${result.stderr}`);
+    if (processed) {
+      for (const [file, errors] of kept) {
+        if (!processed.has(file)) {
+          removed.push({ file, count: errors.length, reason: "ignored" });
+          kept.delete(file);
+        }
+      }
+    } else {
+      complete = false;
+    }
+  }
+
+  return {
+    errors: [...kept.values()].flat(),
+    removed: removed.sort((a, b) => a.file.localeCompare(b.file)),
+    renamed,
+    complete,
+  };
+}
+
+// Prune the baseline, and write the file unless the run must leave it alone
+// (updateBaseline is false). Resolves to the pruned baseline and what
+// changed.
+async function pruneBaselineFile(baselinePath, baseline, context) {
+  const { errors, removed, renamed, complete } = await pruneBaseline(baseline, {
+    baselinePath,
+    command: context.command,
+    biomeBinary: context.biomeBinary,
+    cwd: context.cwd,
+  });
+  const changed = removed.length > 0 || renamed.length > 0;
+  const written = changed && context.updateBaseline;
+  let pruned = baseline;
+  if (written) {
+    pruned = saveBaseline(baselinePath, errors, baseline.biomeVersion);
+  } else if (changed) {
+    pruned = {
+      ...buildBaseline(errors, baseline.biomeVersion),
+      ...(baseline.metadata && { metadata: baseline.metadata }),
+    };
+  }
+  return { baseline: pruned, removed, renamed, complete, written };
+}
+
+// Report what pruneBaselineFile changed
+function displayPruneResult(
+  { baseline, removed, renamed, complete, written },
+  log
+) {
+  if (!complete) {
+    console.warn(
+      "⚠️  Could not tell which files biome ignores; only deleted files were pruned"
+    );
+  }
+  if (removed.length === 0 && renamed.length === 0) {
+    log("✂️  Nothing to prune");
+    return;
+  }
+
+  const removedCount = removed.reduce((sum, entry) => sum + entry.count, 0);
+  const renamedCount = renamed.reduce((sum, entry) => sum + entry.count, 0);
+  log(
+    `✂️  Pruned baseline${written ? "" : " in memory (file not written)"}: ${removedCount} error${removedCount === 1 ? "" : "s"} removed, ${renamedCount} re-keyed (${baseline.fingerprints.length} total)`
+  );
+  removed.forEach(({ file, count, reason }) => {
+    log(
+      `   - ${file} (${count} error${count === 1 ? "" : "s"}, ${reason === "deleted" ? "file deleted" : "ignored by biome"})`
+    );
+  });
+  renamed.forEach(({ from, to, count }) => {
+    log(`   → ${from} → ${to} (${count} error${count === 1 ? "" : "s"})`);
+  });
+}
+
+// Baseline entries matching any of the --rule and any of the --path patterns
+function filterBaselineErrors(errors, { rules = [], paths = [] }) {
+  return errors.filter(
+    (error) =>
+      (rules.length === 0 ||
+        rules.some((pattern) => matchesPattern(error.rule, pattern))) &&
+      (paths.length === 0 ||
+        paths.some((pattern) => matchesPattern(error.file, pattern)))
+  );
+}
+
+// Suppressed counts per rule, file and directory (each ancestor directory
+// counts the errors below it), most suppressed first
+function computeBaselineStats(errors) {
+  const countBy = (keysOf) => {
+    const counts = new Map();
+    for (const error of errors) {
+      for (const key of keysOf(error)) {
+        counts.set(key, (counts.get(key) || 0) + 1);
+      }
+    }
+    return [...counts]
+      .map(([name, count]) => ({ name, count }))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+  };
+  const directoriesOf = (error) =>
+    error.file
+      .split("/")
+      .slice(0, -1)
+      .map((_, index, parts) => parts.slice(0, index + 1).join("/"));
+
+  return {
+    total: errors.length,
+    rules: countBy((error) => [error.rule]),
+    files: countBy((error) => [error.file]),
+    directories: countBy(directoriesOf),
+  };
+}
+
+// Right-aligned count column followed by names, truncated to top rows
+function formatCountTable(title, column, rows, top) {
+  if (rows.length === 0) return [];
+  const shown = top ? rows.slice(0, top) : rows;
+  const width = Math.max(5, String(shown[0].count).length);
+  const lines = [
+    `${title}:`,
+    `  ${"Count".padStart(width)}  ${column}`,
+    ...shown.map(
+      ({ name, count }) => `  ${String(count).padStart(width)}  ${name}`
+    ),
+  ];
+  if (shown.length < rows.length) {
+    lines.push(
+      `  ${"".padStart(width)}  … and ${rows.length - shown.length} more`
+    );
+  }
+  return [...lines, ""];
+}
+
+// Baseline statistics as a text report or JSON
+function formatStats(stats, format, top) {
+  if (format === "json") {
+    const limit = (rows, key) =>
+      rows.slice(0, top || rows.length).map(({ name, count }) => ({
+        [key]: name,
+        count,
+      }));
+    return JSON.stringify(
+      {
+        total: stats.total,
+        rules: limit(stats.rules, "rule"),
+        files: limit(stats.files, "file"),
+        directories: limit(stats.directories, "directory"),
+      },
+      null,
+      2
+    );
+  }
+  return [
+    `📊 ${stats.total} suppressed error${stats.total === 1 ? "" : "s"} in ${stats.files.length} file${stats.files.length === 1 ? "" : "s"}`,
+    "",
+    ...formatCountTable("Top rules", "Rule", stats.rules, top),
+    ...formatCountTable("Top files", "File", stats.files, top),
+    ...formatCountTable("Top directories", "Directory", stats.directories, top),
+  ]
+    .join("\n")
+    .trimEnd();
+}
+
+// Suppressed errors grouped by file, as text or JSON
+function formatErrorList(errors, format) {
+  const byFile = Object.entries(groupBy(errors, "file"));
+  if (format === "json") {
+    return JSON.stringify(
+      {
+        total: errors.length,
+        files: byFile.map(([file, fileErrors]) => ({
+          file,
+          count: fileErrors.length,
+          errors: fileErrors.map(
+            ({ rule, line, message, snippet, ...error }) => ({
+              rule,
+              line,
+              severity: getSeverity(error),
+              message,
+              snippet,
+            })
+          ),
+        })),
+      },
+      null,
+      2
+    );
+  }
+  if (errors.length === 0) return "ℹ️  No suppressed errors match";
+  return byFile
+    .map(([file, fileErrors]) => {
+      const width = Math.max(...fileErrors.map((e) => String(e.line).length));
+      return [
+        `${file} (${fileErrors.length} error${fileErrors.length === 1 ? "" : "s"})`,
+        ...fileErrors.map((error) => {
+          const severity = getSeverity(error);
+          return `  ${String(error.line).padStart(width)}  ${error.rule}${severity === "error" ? "" : ` [${severity}]`}  ${error.message}`;
+        }),
+      ].join("\n");
+    })
+    .join("\n\n");
+}
+
+// bs list and bs stats: query the stored baseline entries
+function queryCommand(args, query) {
+  const options = parseArgs(args, loadConfig());
+  // Only text and JSON apply here; a configured report format for check is
+  // ignored, but an explicit flag asking for another one is an error
+  const requestedFormat = getFlagValue(args, "--output-format");
+  if (requestedFormat && !["text", "json"].includes(requestedFormat)) {
+    console.error(`❌ bs ${query} --output-format must be text or json`);
+    return 1;
+  }
+  const baselinePath = getBaselinePath(
+    options.baselineFor,
+    options.baselineFile
+  );
+  const baseline = loadBaseline(baselinePath);
+  if (!baseline) {
+    console.error("ℹ️  No baseline found");
+    return 1;
+  }
+
+  const errors = filterBaselineErrors(baseline.errors, options);
+  const format = options.outputFormat === "json" ? "json" : "text";
+  const output =
+    query === "stats"
+      ? formatStats(
+          computeBaselineStats(errors),
+          format,
+          options.top || (format === "json" ? null : 10)
+        )
+      : formatErrorList(errors, format);
+
+  if (options.outputFile) {
+    fs.mkdirSync(path.dirname(path.resolve(options.outputFile)), {
+      recursive: true,
+    });
+    fs.writeFileSync(options.outputFile, `${output}\n`);
+    console.error(`📄 ${query} written to ${options.outputFile}`);
+  } else {
+    process.stdout.write(`${output}\n`);
+  }
+  return 0;
+}
+
+// Reason written into exported biome-ignore comments, and how import-ignores
+// recognizes the comments it may turn back into baseline entries
+const IGNORE_MARKER = "baselined by biome-suppressed";
+
+// Line comment syntax per file extension. JSON and HTML-like files have no
+// comment that works on every line, so their entries stay in the baseline.
+const IGNORE_COMMENT_SYNTAX = {
+  js: ["// ", ""],
+  jsx: ["// ", ""],
+  mjs: ["// ", ""],
+  cjs: ["// ", ""],
+  ts: ["// ", ""],
+  tsx: ["// ", ""],
+  mts: ["// ", ""],
+  cts: ["// ", ""],
+  css: ["/* ", " */"],
+  graphql: ["# ", ""],
+  gql: ["# ", ""],
+};
+
+// A whole-line biome-ignore comment with the marker, in any of the syntaxes
+// above or as {/* ... */} in JSX children
+const IGNORE_COMMENT_PATTERN = new RegExp(
+  `^\\s*\\{?\\s*(?:\\/\\/|\\/\\*|#)\\s*biome-ignore\\s+(\\S+)\\s*:\\s*${IGNORE_MARKER}\\s*(?:\\*\\/)?\\s*\\}?\\s*$`
+);
+
+function getIgnoreCommentSyntax(file) {
+  return IGNORE_COMMENT_SYNTAX[path.extname(file).slice(1).toLowerCase()];
+}
+
+// Files whose line comments can land among JSX children (biome parses JSX
+// in .js files too)
+const JSX_EXTENSIONS = ["js", "jsx", "mjs", "cjs", "tsx"];
+
+// Whether a line sits among JSX children, where a line comment would be
+// rendered as text: the code line above ends a tag (not an arrow) or is a
+// child expression on its own line
+function isJsxChildLine(lines, index) {
+  let above = index - 1;
+  while (
+    above >= 0 &&
+    (lines[above].trim() === "" || IGNORE_COMMENT_PATTERN.test(lines[above]))
+  ) {
+    above--;
+  }
+  if (above < 0) return false;
+  const text = lines[above].trim();
+  return (
+    (text.endsWith(">") && !text.endsWith("=>") && /<|^>$/.test(text)) ||
+    /^\{.*\}$/.test(text)
+  );
+}
+
+// Unified diff hunk from " ", "+" and "-" prefixed lines
+function formatHunk(oldStart, newStart, lines) {
+  const oldCount = lines.filter((line) => !line.startsWith("+")).length;
+  const newCount = lines.filter((line) => !line.startsWith("-")).length;
+  return [`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`, ...lines];
+}
+
+// Insert a biome-ignore comment above each baseline entry, found by its
+// snippet near the recorded line (the file may have changed since). Returns
+// the new content, the entries placed and missing, a diff, and a function
+// mapping old line numbers to new ones. The file name picks the comment
+// syntax; in JSX files, comments among JSX children are written as {/* */}.
+function insertIgnoreComments(content, entries, file) {
+  const [open, close] = getIgnoreCommentSyntax(file);
+  const jsx = JSX_EXTENSIONS.includes(
+    path.extname(file).slice(1).toLowerCase()
+  );
+  const eol = content.includes("\r\n") ? "\r\n" : "\n";
+  const lines = content.split(/\r?\n/);
+  const locate = (entry) => {
+    if (!entry.snippet) return entry.line <= lines.length ? entry.line : null;
+    let best = null;
+    lines.forEach((line, index) => {
+      if (
+        normalizeSnippet(line) === entry.snippet &&
+        (best === null ||
+          Math.abs(index + 1 - entry.line) < Math.abs(best - entry.line))
+      ) {
+        best = index + 1;
+      }
+    });
+    return best;
+  };
+
+  const rulesByLine = new Map();
+  const placed = [];
+  const missing = [];
+  for (const entry of entries) {
+    const line = locate(entry);
+    if (line === null) {
+      missing.push(entry);
+      continue;
+    }
+    if (!rulesByLine.has(line)) rulesByLine.set(line, new Set());
+    rulesByLine.get(line).add(entry.rule);
+    placed.push(entry);
+  }
+
+  const output = [];
+  const hunks = [];
+  const insertions = [];
+  lines.forEach((text, index) => {
+    const line = index + 1;
+    // Rules already ignored by marker comments right above stay as they are
+    const existing = new Set();
+    for (let i = index - 1; i >= 0; i--) {
+      const match = lines[i].match(IGNORE_COMMENT_PATTERN);
+      if (!match) break;
+      existing.add(match[1]);
+    }
+    const rules = [...(rulesByLine.get(line) || [])]
+      .filter((rule) => !existing.has(rule))
+      .sort();
+    if (rules.length > 0) {
+      const indent = text.match(/^\s*/)[0];
+      const [start, end] =
+        jsx && isJsxChildLine(lines, index) ? ["{/* ", " */}"] : [open, close];
+      const comments = rules.map(
+        (rule) =>
+          `${indent}${start}biome-ignore ${rule}: ${IGNORE_MARKER}${end}`
+      );
+      hunks.push(
+        ...formatHunk(line, output.length + 1, [
+          ...comments.map((comment) => `+${comment}`),
+          ` ${text}`,
+        ])
+      );
+      insertions.push({ line, count: comments.length });
+      output.push(...comments);
+    }
+    output.push(text);
+  });
+
+  return {
+    content: output.join(eol),
+    placed,
+    missing,
+    diff: hunks,
+    mapLine: (line) =>
+      line +
+      insertions
+        .filter((insertion) => insertion.line <= line)
+        .reduce((sum, insertion) => sum + insertion.count, 0),
+  };
+}
+
+// Remove marker biome-ignore comments (optionally only for some rules).
+// Returns the new content, each removed rule with the line it suppressed
+// (in the new content), a diff, and a function mapping old line numbers to
+// new ones.
+function removeIgnoreComments(content, ruleFilter = () => true) {
+  const eol = content.includes("\r\n") ? "\r\n" : "\n";
+  const lines = content.split(/\r?\n/);
+  const output = [];
+  const removed = [];
+  const removedLines = [];
+  const hunks = [];
+  let pending = [];
+  lines.forEach((text, index) => {
+    const match = text.match(IGNORE_COMMENT_PATTERN);
+    if (match && ruleFilter(match[1])) {
+      pending.push({ line: index + 1, text, rule: match[1] });
+      removedLines.push(index + 1);
+      return;
+    }
+    if (pending.length > 0) {
+      hunks.push(
+        ...formatHunk(pending[0].line, output.length + 1, [
+          ...pending.map((comment) => `-${comment.text}`),
+          ` ${text}`,
+        ])
+      );
+      for (const comment of pending) {
+        removed.push({ rule: comment.rule, line: output.length + 1 });
+      }
+      pending = [];
+    }
+    output.push(text);
+  });
+
+  return {
+    content: output.join(eol),
+    removed,
+    diff: hunks,
+    mapLine: (line) =>
+      line - removedLines.filter((removedLine) => removedLine < line).length,
+  };
+}
+
+// Files below the targets that can hold biome-ignore comments
+function listCommentableFiles(targets) {
+  const files = [];
+  const visit = (target) => {
+    const stats = fs.statSync(target, { throwIfNoEntry: false });
+    if (stats?.isDirectory()) {
+      for (const entry of fs.readdirSync(target)) {
+        if (entry !== "node_modules" && entry !== ".git") {
+          visit(path.join(target, entry));
+        }
+      }
+    } else if (stats?.isFile() && getIgnoreCommentSyntax(target)) {
+      files.push(normalizeScope([target])[0]);
+    }
+  };
+  for (const target of targets) visit(target);
+  return [...new Set(files)].sort();
+}
+
+// Print a diff of one file's changes
+function displayFileDiff(file, hunks) {
+  console.log(`--- a/${file}`);
+  console.log(`+++ b/${file}`);
+  for (const line of hunks) console.log(line);
+}
+
+// Move baseline entries into biome-ignore comments at their locations
+async function exportIgnoresCommand(args) {
+  const options = parseArgs(args, loadConfig());
+  const baselinePath = getBaselinePath(
+    options.baselineFor,
+    options.baselineFile
+  );
+  const baseline = loadBaseline(baselinePath);
+  if (!baseline) {
+    console.log("ℹ️  No baseline found");
+    return 0;
+  }
+
+  const scope = normalizeScope(options.files);
+  const selected = filterBaselineErrors(baseline.errors, options).filter(
+    (error) => isInScope(error.file, scope)
+  );
+  const exported = new Set();
+  const skipped = [];
+  const lineMaps = new Map();
+  const originals = new Map();
+  for (const [file, entries] of Object.entries(groupBy(selected, "file"))) {
+    const syntax = getIgnoreCommentSyntax(file);
+    const lintEntries = entries.filter((entry) => entry.rule !== "format");
+    for (const entry of entries) {
+      if (entry.rule === "format") {
+        skipped.push({ ...entry, reason: "formatter errors can't be ignored" });
+      } else if (!syntax) {
+        skipped.push({
+          ...entry,
+          reason: "no line comments in this file type",
+        });
+      }
+    }
+    if (!syntax || lintEntries.length === 0) continue;
+    if (!fs.existsSync(file)) {
+      skipped.push(
+        ...lintEntries.map((entry) => ({ ...entry, reason: "file not found" }))
+      );
+      continue;
+    }
+
+    const original = fs.readFileSync(file, "utf8");
+    const result = insertIgnoreComments(original, lintEntries, file);
+    skipped.push(
+      ...result.missing.map((entry) => ({
+        ...entry,
+        reason: "line not found",
+      }))
+    );
+    if (result.placed.length === 0) continue;
+    if (options.dryRun) {
+      displayFileDiff(file, result.diff);
+    } else {
+      fs.writeFileSync(file, result.content);
+      originals.set(file, original);
+    }
+    for (const entry of result.placed) exported.add(entry);
+    lineMaps.set(file, result.mapLine);
+  }
+
+  // A comment in the wrong place doesn't suppress anything (or, in JSX,
+  // becomes text). Entries biome still reports stay in the baseline, and
+  // their files are rewritten without those comments.
+  if (originals.size > 0) {
+    const stillReported = await findStillReported(
+      [...exported].filter((entry) => originals.has(entry.file)),
+      options
+    );
+    for (const [file, entries] of Object.entries(
+      groupBy(stillReported, "file")
+    )) {
+      for (const entry of entries) {
+        exported.delete(entry);
+        skipped.push({ ...entry, reason: "still reported by biome" });
+      }
+      const result = insertIgnoreComments(
+        originals.get(file),
+        [...exported].filter((entry) => entry.file === file),
+        file
+      );
+      fs.writeFileSync(file, result.content);
+      if (result.placed.length > 0) lineMaps.set(file, result.mapLine);
+      else lineMaps.delete(file);
+    }
+  }
+
+  const fileCount = lineMaps.size;
+  const summary = `${exported.size} baselined error${exported.size === 1 ? "" : "s"} to biome-ignore comments in ${fileCount} file${fileCount === 1 ? "" : "s"}`;
+  if (options.dryRun) {
+    console.log(`🔍 Dry run: would export ${summary}`);
+  } else {
+    // Entries now ignored inline leave the baseline; the rest keep their
+    // place in the edited files
+    const remaining = baseline.errors
+      .filter((error) => !exported.has(error))
+      .map((error) => {
+        const mapLine = lineMaps.get(error.file);
+        return mapLine ? { ...error, line: mapLine(error.line) } : error;
+      });
+    const saved = saveBaseline(baselinePath, remaining, baseline.biomeVersion);
+    console.log(
+      `✅ Exported ${summary} (${saved.fingerprints.length} left in the baseline)`
+    );
+  }
+  if (skipped.length > 0) {
+    console.log(
+      `⚠️  ${skipped.length} entr${skipped.length === 1 ? "y" : "ies"} stay${skipped.length === 1 ? "s" : ""} in the baseline:`
+    );
+    for (const entry of skipped) {
+      console.log(
+        `    ${entry.file}:${entry.line} ${entry.rule} (${entry.reason})`
+      );
+    }
+  }
+  return 0;
+}
+
+// Exported entries biome still reports after their comments were written,
+// matched by rule, message and source line. Entries of any severity were
+// exported, so no severity filter applies.
+async function findStillReported(entries, options) {
+  const errors = (
+    await runBiomeForErrors([...new Set(entries.map((entry) => entry.file))], {
+      command: options.baselineFor,
+      biomeBinary: options.biomeBinary,
+      extraArgs: [
+        ...options.biomeArgs,
+        "--no-errors-on-unmatched",
+        "--files-ignore-unknown=true",
+      ],
+    })
+  ).filter(createRuleFilter(options.biomeArgs));
+  const reported = new Map();
+  const keyOf = (error) =>
+    `${error.file}\0${error.rule}\0${error.message}\0${error.snippet}`;
+  for (const error of errors) {
+    reported.set(keyOf(error), (reported.get(keyOf(error)) || 0) + 1);
+  }
+  return entries.filter((entry) => {
+    const count = reported.get(keyOf(entry)) || 0;
+    if (count === 0) return false;
+    reported.set(keyOf(entry), count - 1);
+    return true;
+  });
+}
+
+// Remove biome-ignore comments written by export-ignores and baseline the
+// errors they suppressed instead
+async function importIgnoresCommand(args) {
+  const options = parseArgs(args, loadConfig());
+  const command = options.baselineFor;
+  const baselinePath = getBaselinePath(command, options.baselineFile);
+  const ruleFilter = (rule) =>
+    options.rules.length === 0 ||
+    options.rules.some((pattern) => matchesPattern(rule, pattern));
+
+  const changes = [];
+  for (const file of listCommentableFiles(options.files)) {
+    if (
+      options.paths.length > 0 &&
+      !options.paths.some((pattern) => matchesPattern(file, pattern))
+    ) {
+      continue;
+    }
+    const original = fs.readFileSync(file, "utf8");
+    if (!original.includes(IGNORE_MARKER)) continue;
+    const result = removeIgnoreComments(original, ruleFilter);
+    if (result.removed.length > 0) changes.push({ file, original, ...result });
+  }
+  const commentCount = changes.reduce(
+    (sum, change) => sum + change.removed.length,
+    0
+  );
+  const summary = `${commentCount} biome-ignore comment${commentCount === 1 ? "" : "s"} in ${changes.length} file${changes.length === 1 ? "" : "s"}`;
+  if (changes.length === 0) {
+    console.log(`ℹ️  No biome-ignore comments marked "${IGNORE_MARKER}" found`);
+    return 0;
+  }
+  if (options.dryRun) {
+    for (const change of changes) displayFileDiff(change.file, change.diff);
+    console.log(
+      `🔍 Dry run: would remove ${summary} and baseline the errors they suppress`
+    );
+    return 0;
+  }
+
+  // Biome must see the files without the comments; put them back if it fails
+  for (const change of changes) fs.writeFileSync(change.file, change.content);
+  let errors;
+  try {
+    errors = await runBiomeForErrors(
+      changes.map((change) => change.file),
+      {
+        command,
+        biomeBinary: options.biomeBinary,
+        extraArgs: [
+          ...options.biomeArgs,
+          "--no-errors-on-unmatched",
+          "--files-ignore-unknown=true",
+        ],
+      }
+    );
+  } catch (error) {
+    for (const change of changes) {
+      fs.writeFileSync(change.file, change.original);
+    }
+    throw error;
+  }
+
+  // Only errors the removed comments suppressed: same rule, starting on the
+  // line below the comment. Export writes comments for entries of every
+  // severity, so these are baselined whatever their severity.
+  const byFile = new Map(changes.map((change) => [change.file, change]));
+  const isSuppressed = (error, comment) =>
+    comment.rule === error.rule && comment.line === error.line;
+  const imported = errors
+    .filter(createRuleFilter(options.biomeArgs))
+    .filter((error) =>
+      byFile
+        .get(error.file)
+        ?.removed.some((comment) => isSuppressed(error, comment))
+    );
+  const unused = changes.flatMap((change) =>
+    change.removed
+      .filter(
+        (comment) =>
+          !imported.some(
+            (error) =>
+              error.file === change.file && isSuppressed(error, comment)
+          )
+      )
+      .map((comment) => ({ ...comment, file: change.file }))
+  );
+
+  const existing = loadBaseline(baselinePath);
+  const existingErrors = (existing?.errors || []).map((error) => {
+    const change = byFile.get(error.file);
+    return change ? { ...error, line: change.mapLine(error.line) } : error;
+  });
+  const added = existing
+    ? compareWithBaseline(existing, imported).newErrors
+    : imported;
+  const saved = saveBaseline(
+    baselinePath,
+    [...existingErrors, ...added],
+    existing?.biomeVersion || getBiomeVersion(options.biomeBinary)
+  );
+  console.log(
+    `✅ Removed ${summary} and baselined ${added.length} error${added.length === 1 ? "" : "s"} (${saved.fingerprints.length} total)`
+  );
+  if (unused.length > 0) {
+    console.log(
+      `ℹ️  ${unused.length} comment${unused.length === 1 ? "" : "s"} no longer suppressed anything:`
+    );
+    for (const comment of unused) {
+      console.log(`    ${comment.file}:${comment.line} ${comment.rule}`);
+    }
+  }
+  return 0;
+}
+
+const MERGE_DRIVER = "biome-suppressed";
+
+// git merge driver: bs merge %O %A %B merges the three baseline versions into
+// %A. Exits 1 without touching %A when one of them can't be read, so git
+// reports a conflict instead.
+function mergeCommand(args) {
+  if (args.length < 3) {
+    console.error("❌ Usage: bs merge <base> <ours> <theirs>");
+    return 1;
+  }
+  const [basePath, oursPath, theirsPath] = args;
+  let baselines;
+  try {
+    baselines = [basePath, oursPath, theirsPath].map(
+      (file) => readBaselineFile(file).baseline
+    );
+  } catch (error) {
+    console.error(`❌ Could not merge baselines: ${error.message}`);
+    return 1;
+  }
+
+  const merged = mergeBaselines(...baselines);
+  fs.writeFileSync(oursPath, serializeBaseline(merged));
+  console.log(
+    `🔀 Merged baselines (${merged.fingerprints.length} error${merged.fingerprints.length === 1 ? "" : "s"})`
+  );
+  return 0;
+}
+
+// Register the merge driver in the git config and route the baseline files
+// to it in .gitattributes
+function installMergeDriver(options) {
+  const baselinePaths = [
+    ...new Set(
+      BIOME_COMMANDS.map((command) =>
+        getBaselinePath(command, options.baselineFile)
+      )
+    ),
+  ];
+  const attributesFile = ".gitattributes";
+  const existing = fs.existsSync(attributesFile)
+    ? fs.readFileSync(attributesFile, "utf8")
+    : "";
+  const lines = existing.split(/\r?\n/);
+  const missing = baselinePaths
+    .map((baselinePath) => `${baselinePath} merge=${MERGE_DRIVER}`)
+    .filter((line) => !lines.includes(line));
+
+  runGit(["config", `merge.${MERGE_DRIVER}.name`, "biome-suppressed baseline"]);
+  runGit([
+    "config",
+    `merge.${MERGE_DRIVER}.driver`,
+    "npx biome-suppressed merge %O %A %B",
+  ]);
+  console.log(`🔧 Registered the ${MERGE_DRIVER} merge driver in git config`);
+
+  if (missing.length > 0) {
+    const separator = existing && !existing.endsWith("\n") ? "\n" : "";
+    fs.appendFileSync(
+      attributesFile,
+      `${separator}${missing.map((line) => `${line}\n`).join("")}`
+    );
+    console.log(
+      `📝 Added ${missing.length} entr${missing.length === 1 ? "y" : "ies"} to ${attributesFile}`
+    );
+  } else {
+    console.log(
+      `ℹ️  ${attributesFile} already routes the baselines to the driver`
+    );
+  }
+}
+
+// Incremental parser for `git cat-file --batch` output. Calls
+// onObject(index, content) per requested object in order, with null content
+// for missing objects, copying each object's bytes only once.
+function createCatFileParser(onObject) {
+  let index = 0;
+  let pending = null; // Partial header line
+  let body = null; // Object content plus its trailing newline
+  let filled = 0;
+
+  return (chunk) => {
+    const data = pending ? Buffer.concat([pending, chunk]) : chunk;
+    pending = null;
+    let offset = 0;
+    while (offset < data.length) {
+      if (body) {
+        const size = Math.min(body.length - filled, data.length - offset);
+        data.copy(body, filled, offset, offset + size);
+        filled += size;
+        offset += size;
+        if (filled < body.length) return;
+        onObject(index++, body.toString("utf8", 0, body.length - 1));
+        body = null;
+        continue;
+      }
+      const end = data.indexOf(10, offset);
+      if (end === -1) {
+        pending = data.subarray(offset);
+        return;
+      }
+      const header = data.toString("utf8", offset, end);
+      offset = end + 1;
+      if (header.endsWith(" missing") || header.endsWith(" ambiguous")) {
+        onObject(index++, null);
+      } else {
+        body = Buffer.allocUnsafe(Number(header.split(" ").pop()) + 1);
+        filled = 0;
+      }
+    }
+  };
+}
+
+// Read many `<rev>:<path>` objects through a single git cat-file process
+function readGitObjects(names, onObject) {
+  return new Promise((resolve, reject) => {
+    const child = spawn("git", ["cat-file", "--batch"], {
+      stdio: ["pipe", "pipe", "pipe"],
+    });
+    const stderr = [];
+    child.stdout.on("data", createCatFileParser(onObject));
+    child.stderr.on("data", (chunk) => stderr.push(chunk));
+    child.on("error", reject);
+    child.on("close", (code) => {
+      if (code === 0) resolve();
+      else {
+        reject(
+          new Error(
+            `git cat-file failed: ${Buffer.concat(stderr).toString().trim()}`
+          )
+        );
+      }
+    });
+    child.stdin.end(names.map((name) => `${name}\n`).join(""));
+  });
+}
+
+// Rule category of a rule ("lint/style/useConst" -> "lint/style")
+function getRuleCategory(rule) {
+  const parts = rule.split("/");
+  return parts.length > 2 ? parts.slice(0, 2).join("/") : rule;
+}
+
+// First path segment of a file, or "(root)" for top-level files
+function getTopLevelDirectory(file) {
+  return file.includes("/") ? file.slice(0, file.indexOf("/")) : "(root)";
+}
+
+// Suppressed counts of one baseline version, in total, per rule and per
+// top-level directory
+function summarizeBaselineEntries(entries) {
+  const rules = {};
+  const directories = {};
+  for (const { rule, file } of entries) {
+    rules[rule] = (rules[rule] || 0) + 1;
+    const directory = getTopLevelDirectory(file);
+    directories[directory] = (directories[directory] || 0) + 1;
+  }
+  return { errors: entries.length, rules, directories };
+}
+
+// Suppressed counts of every committed version of the baseline, oldest
+// first: on all refs, or on one ref (optionally first-parent only) within
+// a date range. --follow tracks renames, so each commit is read at its own
+// path. With `blame`, errors a commit added are credited to the authors of
+// their lines (addedBy).
+async function readBaselineHistory(
+  baselineFile,
+  range = {},
+  { blame = false } = {}
+) {
+  if (range.ref) {
+    try {
+      runGit(["rev-parse", "--verify", "--quiet", `${range.ref}^{commit}`]);
+    } catch {
+      throw new Error(`Unknown git ref: ${range.ref}`);
+    }
+  }
+  const log = runGit([
+    "-c",
+    "core.quotePath=false",
+    "log",
+    range.ref || "--all",
+    ...(range.firstParent ? ["--first-parent"] : []),
+    ...(range.since ? [`--since=${range.since}`] : []),
+    ...(range.until ? [`--until=${range.until}`] : []),
+    "--follow",
+    "--name-only",
+    "--format=%x00%H%x09%cI%x09%an",
+    "--",
+    baselineFile,
+  ]);
+  const commits = log
+    .split("\0")
+    .filter(Boolean)
+    .map((entry) => {
+      const [header, ...files] = entry.split("\n").filter(Boolean);
+      const [commit, date, author] = header.split("\t");
+      return { commit, date, author, file: files[0] };
+    })
+    .filter((entry) => entry.file)
+    .reverse();
+
+  const summaries = new Array(commits.length).fill(null);
+  const addedEntries = new Array(commits.length).fill(null);
+  let previousFingerprints = new Set();
+  await readGitObjects(
+    commits.map(({ commit, file }) => `${commit}:${file}`),
+    (index, content) => {
+      if (content === null) return;
+      try {
+        const entries = getBaselineEntries(parseBaselineContent(content));
+        summaries[index] = summarizeBaselineEntries(entries);
+        if (blame) {
+          // Objects arrive in order, so this compares with the previous
+          // valid version
+          const fingerprinted = assignOccurrences(entries).map((entry) => ({
+            ...entry,
+            fingerprint: createErrorFingerprint(entry),
+          }));
+          addedEntries[index] = fingerprinted.filter(
+            (entry) => !previousFingerprints.has(entry.fingerprint)
+          );
+          previousFingerprints = new Set(
+            fingerprinted.map((entry) => entry.fingerprint)
+          );
+        }
+      } catch {
+        // Skip versions that aren't valid JSON
+      }
+    }
+  );
+
+  const history = [];
+  commits.forEach(({ commit, date, author }, index) => {
+    const summary = summaries[index];
+    if (summary === null) return;
+    const previous = history.at(-1);
+    const change = previous ? summary.errors - previous.errors : 0;
+    history.push({
+      commit,
+      date,
+      author,
+      errors: summary.errors,
+      change,
+      rules: summary.rules,
+      directories: summary.directories,
+      ...(blame &&
+        change > 0 && {
+          addedBy: creditLineAuthors(
+            addedEntries[index],
+            change,
+            commit,
+            author
+          ),
+        }),
+    });
+  });
+  return history;
+}
+
+// Credit a baseline increase to the authors of the added errors' lines, as
+// of the baseline commit. When entries only moved (new fingerprints for old
+// errors), more entries than the increase look added; the most recently
+// written lines are taken as the new errors. Lines git can't blame count
+// for the commit's author.
+function creditLineAuthors(entries, change, commit, author) {
+  const credits = {};
+  attachBlame(entries || [], commit)
+    .sort((a, b) => (b.blame?.date || "").localeCompare(a.blame?.date || ""))
+    .slice(0, change)
+    .forEach((entry) => {
+      const lineAuthor = entry.blame?.author || author;
+      credits[lineAuthor] = (credits[lineAuthor] || 0) + 1;
+    });
+  const unattributed =
+    change - Object.values(credits).reduce((sum, count) => sum + count, 0);
+  if (unattributed > 0) credits[author] = (credits[author] || 0) + unattributed;
+  return credits;
+}
+
+// Errors added and removed per author, from each commit's change. Increases
+// with line authors (addedBy) are credited to them instead of the commit's
+// author.
+function aggregateByAuthor(history) {
+  const stats = new Map();
+  for (const { author: commitAuthor, change, addedBy } of history) {
+    if (!change) continue;
+    const credits = addedBy
+      ? Object.entries(addedBy)
+      : [[commitAuthor, change]];
+    for (const [author, count] of credits) {
+      const entry = stats.get(author) || {
+        author,
+        added: 0,
+        removed: 0,
+        net: 0,
+        commits: 0,
+      };
+      if (count > 0) entry.added += count;
+      else entry.removed -= count;
+      entry.net += count;
+      entry.commits++;
+      stats.set(author, entry);
+    }
+  }
+  return [...stats.values()];
+}
+
+// Top ten removers (heroes) and adders (villains)
+function computeLeaderboard(history) {
+  const stats = aggregateByAuthor(history);
+  return {
+    heroes: [...stats]
+      .filter((entry) => entry.removed > 0)
+      .sort((a, b) => b.removed - a.removed)
+      .slice(0, 10),
+    villains: [...stats]
+      .filter((entry) => entry.added > 0)
+      .sort((a, b) => b.added - a.added)
+      .slice(0, 10),
+  };
+}
+
+// Evenly spaced round axis values covering min..max
+function niceTicks(min, max, count = 5) {
+  const low = min === max ? Math.max(0, min - 1) : min;
+  const high = min === max ? max + 1 : max;
+  const rawStep = (high - low) / count;
+  const magnitude = 10 ** Math.floor(Math.log10(rawStep));
+  const step = Math.max(
+    1,
+    [1, 2, 5, 10].map((factor) => factor * magnitude).find((s) => s >= rawStep)
+  );
+  const ticks = [];
+  for (
+    let value = Math.floor(low / step) * step;
+    value <= Math.ceil(high / step) * step;
+    value += step
+  ) {
+    ticks.push(value);
+  }
+  return ticks;
+}
+
+function formatChartDate(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+function formatSignedCount(value) {
+  return `${value > 0 ? "+" : ""}${value.toLocaleString("en-US")}`;
+}
+
+// Scales and axis markup shared by the SVG charts. Functions from here to
+// renderTrends are also embedded in the report to redraw it in the browser,
+// so they may only use each other and browser globals.
+function createChartScale(times, ticks, width, height) {
+  const margin = { top: 20, right: 20, bottom: 30, left: 70 };
+  const bottom = height - margin.bottom;
+  const [minTime, maxTime] = [Math.min(...times), Math.max(...times)];
+  const [minCount, maxCount] = [ticks[0], ticks.at(-1)];
+  const x = (time) =>
+    margin.left +
+    (maxTime === minTime ? 0.5 : (time - minTime) / (maxTime - minTime)) *
+      (width - margin.left - margin.right);
+  const y = (count) =>
+    margin.top +
+    ((maxCount - count) / (maxCount - minCount)) * (bottom - margin.top);
+
+  const yAxis = ticks.map(
+    (tick) =>
+      `<line class="grid" x1="${margin.left}" x2="${width - margin.right}" y1="${y(tick).toFixed(1)}" y2="${y(tick).toFixed(1)}"/><text x="${margin.left - 8}" y="${y(tick).toFixed(1)}" dy=".32em" text-anchor="end">${tick.toLocaleString("en-US")}</text>`
+  );
+  const labelCount = maxTime === minTime ? 1 : 6;
+  const xAxis = Array.from({ length: labelCount }, (_, index) => {
+    const time =
+      labelCount === 1
+        ? minTime
+        : minTime + ((maxTime - minTime) * index) / (labelCount - 1);
+    return `<text x="${x(time).toFixed(1)}" y="${height - 8}" text-anchor="middle">${formatChartDate(time)}</text>`;
+  });
+  return { x, y, bottom, axes: yAxis.join("") + xAxis.join("") };
+}
+
+// Line chart of the suppressed count over time as inline SVG, with a native
+// tooltip per commit
+function renderTrendSvg(history, width = 1000, height = 320) {
+  if (history.length === 0) {
+    return '<p class="empty">No baseline changes in this period</p>';
+  }
+  const times = history.map((point) => Date.parse(point.date));
+  const counts = history.map((point) => point.errors);
+  const { x, y, bottom, axes } = createChartScale(
+    times,
+    niceTicks(Math.min(...counts), Math.max(...counts)),
+    width,
+    height
+  );
+
+  const points = history.map((point, index) => [
+    x(times[index]).toFixed(1),
+    y(point.errors).toFixed(1),
+  ]);
+  const line = `M${points.map((point) => point.join(",")).join("L")}`;
+  const area = `${line}L${points.at(-1)[0]},${bottom}L${points[0][0]},${bottom}Z`;
+  const dots = history.map((point, index) => {
+    const tooltip = [
+      formatChartDate(point.date),
+      `Errors: ${point.errors.toLocaleString("en-US")}`,
+      `Change: ${point.change === 0 ? "No change" : formatSignedCount(point.change)}`,
+      `Author: ${point.author}`,
+    ].join("\n");
+    return `<circle cx="${points[index][0]}" cy="${points[index][1]}" r="3"><title>${escapeXml(tooltip)}</title></circle>`;
+  });
+
+  return `<svg class="chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Suppressed errors over time">${axes}<path class="area" d="${area}"/><path class="line" d="${line}"/>${dots.join("")}</svg>`;
+}
+
+const CHART_COLORS = [
+  "#667eea",
+  "#f59e0b",
+  "#10b981",
+  "#ef4444",
+  "#8b5cf6",
+  "#06b6d4",
+  "#ec4899",
+  "#84cc16",
+  "#9ca3af",
+];
+
+// The series with the highest peaks, with the rest summed into "Other"
+function stackSeries(seriesByName, limit) {
+  const ranked = Object.entries(seriesByName)
+    .map(([name, values]) => ({ name, values, peak: Math.max(...values) }))
+    .sort((a, b) => b.peak - a.peak || a.name.localeCompare(b.name));
+  const shown = ranked
+    .slice(0, limit)
+    .map(({ name, values }) => ({ name, values }));
+  const rest = ranked.slice(limit);
+  if (rest.length > 0) {
+    shown.push({
+      name: "Other",
+      values: rest[0].values.map((_, index) =>
+        rest.reduce((sum, series) => sum + series.values[index], 0)
+      ),
+    });
+  }
+  return shown;
+}
+
+// Stacked area chart of [{ name, color, values }] over the given dates, with
+// a tooltip per band and per commit
+function renderStackedSvg(dates, series, width = 1000, height = 320) {
+  if (dates.length === 0 || series.length === 0) {
+    return '<p class="empty">No data for this selection</p>';
+  }
+  const times = dates.map((date) => Date.parse(date));
+  const totals = dates.map((_, index) =>
+    series.reduce((sum, { values }) => sum + values[index], 0)
+  );
+  const { x, y, bottom, axes } = createChartScale(
+    times,
+    niceTicks(0, Math.max(...totals)),
+    width,
+    height
+  );
+  const xs = times.map(x);
+
+  let lower = dates.map(() => 0);
+  const bands = series.map(({ name, color, values }) => {
+    const upper = lower.map((value, index) => value + values[index]);
+    const top = upper.map(
+      (value, index) => `${xs[index].toFixed(1)},${y(value).toFixed(1)}`
+    );
+    const base = lower
+      .map((value, index) => `${xs[index].toFixed(1)},${y(value).toFixed(1)}`)
+      .reverse();
+    lower = upper;
+    return `<path fill="${color}" d="M${top.join("L")}L${base.join("L")}Z"><title>${escapeXml(name)}</title></path>`;
+  });
+  // Invisible columns around each commit carry the per-series tooltip
+  const columns = dates.map((date, index) => {
+    const left = index === 0 ? xs[0] - 4 : (xs[index - 1] + xs[index]) / 2;
+    const right =
+      index === dates.length - 1
+        ? xs[index] + 4
+        : (xs[index] + xs[index + 1]) / 2;
+    const tooltip = [
+      formatChartDate(date),
+      ...series.map(
+        ({ name, values }) =>
+          `${name}: ${values[index].toLocaleString("en-US")}`
+      ),
+      `Total: ${totals[index].toLocaleString("en-US")}`,
+    ].join("\n");
+    return `<rect class="column" x="${left.toFixed(1)}" y="0" width="${Math.max(right - left, 1).toFixed(1)}" height="${bottom}"><title>${escapeXml(tooltip)}</title></rect>`;
+  });
+
+  return `<svg class="chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Suppressed errors by series over time">${axes}${bands.join("")}${columns.join("")}</svg>`;
+}
+
+// Series whose count changed most between two data points, in either
+// direction
+function computeMovers(seriesByName, fromIndex, toIndex, limit = 15) {
+  return Object.entries(seriesByName)
+    .map(([name, values]) => ({
+      name,
+      before: values[fromIndex],
+      after: values[toIndex],
+      change: values[toIndex] - values[fromIndex],
+    }))
+    .filter((mover) => mover.change !== 0)
+    .sort(
+      (a, b) =>
+        Math.abs(b.change) - Math.abs(a.change) || a.name.localeCompare(b.name)
+    )
+    .slice(0, limit);
+}
+
+function renderMoversRows(movers) {
+  if (movers.length === 0) {
+    return '<tr><td colspan="4" class="neutral">No changes in this range</td></tr>';
+  }
+  return movers
+    .map(
+      ({ name, before, after, change }) =>
+        `<tr><td>${escapeXml(name)}</td><td class="number">${before.toLocaleString("en-US")}</td><td class="number">${after.toLocaleString("en-US")}</td><td class="number ${change < 0 ? "negative" : "positive"}">${formatSignedCount(change)}</td></tr>`
+    )
+    .join("");
+}
+
+// Stacked charts and movers for the selected date range and series.
+// filters: { from, to } as YYYY-MM-DD, hidden "kind:name" series, and the
+// movers kind and name filter.
+function renderTrends(data, filters) {
+  const days = data.dates.map((date) => formatChartDate(date));
+  const start = days.findIndex((day) => day >= filters.from);
+  // No findLastIndex: it needs Node 18, and this also runs in the page
+  let end = days.length - 1;
+  while (end >= 0 && days[end] > filters.to) end--;
+  const inRange = start !== -1 && end >= start;
+  const dates = inRange ? data.dates.slice(start, end + 1) : [];
+
+  const charts = {};
+  for (const kind of ["categories", "directories"]) {
+    const series = stackSeries(data[kind], CHART_COLORS.length - 1)
+      .map((entry, index) => ({
+        name: entry.name,
+        color: CHART_COLORS[index],
+        values: inRange ? entry.values.slice(start, end + 1) : [],
+      }))
+      .filter((entry) => !filters.hidden.includes(`${kind}:${entry.name}`));
+    charts[kind] = renderStackedSvg(dates, series);
+  }
+
+  const search = filters.search.toLowerCase();
+  const candidates = Object.fromEntries(
+    Object.entries(data[filters.moversKind]).filter(([name]) =>
+      name.toLowerCase().includes(search)
+    )
+  );
+  const movers = inRange ? computeMovers(candidates, start, end) : [];
+  return { ...charts, movers: renderMoversRows(movers) };
+}
+
+// Per-commit counts per rule, rule category and top-level directory, as
+// series aligned with the history
+function buildTrendData(history) {
+  const collect = (field, nameOf) => {
+    const series = {};
+    history.forEach((point, index) => {
+      for (const [name, count] of Object.entries(point[field])) {
+        const key = nameOf(name);
+        series[key] = series[key] || history.map(() => 0);
+        series[key][index] += count;
+      }
+    });
+    return series;
+  };
+  return {
+    dates: history.map((point) => point.date),
+    rules: collect("rules", (rule) => rule),
+    categories: collect("rules", getRuleCategory),
+    directories: collect("directories", (directory) => directory),
+  };
+}
+
+// Filters, stacked charts and movers table. The page script redraws them
+// with the same functions when a filter changes.
+function renderTrendsSection(history) {
+  const data = buildTrendData(history);
+  const from = formatChartDate(data.dates[0]);
+  const to = formatChartDate(data.dates.at(-1));
+  const initial = renderTrends(data, {
+    from,
+    to,
+    hidden: [],
+    moversKind: "rules",
+    search: "",
+  });
+  const legend = (kind) =>
+    stackSeries(data[kind], CHART_COLORS.length - 1)
+      .map(
+        ({ name }, index) =>
+          `<label><input type="checkbox" checked data-series="${escapeXml(`${kind}:${name}`)}"><span class="swatch" style="background:${CHART_COLORS[index]}"></span>${escapeXml(name)}</label>`
+      )
+      .join("");
+  const embedded = [
+    escapeXml,
+    niceTicks,
+    formatChartDate,
+    formatSignedCount,
+    createChartScale,
+    stackSeries,
+    renderStackedSvg,
+    computeMovers,
+    renderMoversRows,
+    renderTrends,
+  ].join("\n");
+
+  return `
+    <div class="section">
+      <h2>🧭 Trends by Category and Directory</h2>
+      <div class="filters">
+        <label>From <input type="date" id="trend-from" value="${from}" min="${from}" max="${to}"></label>
+        <label>To <input type="date" id="trend-to" value="${to}" min="${from}" max="${to}"></label>
+      </div>
+      <h3>By rule category</h3>
+      <div id="trend-categories">${initial.categories}</div>
+      <div class="legend">${legend("categories")}</div>
+      <h3>By top-level directory</h3>
+      <div id="trend-directories">${initial.directories}</div>
+      <div class="legend">${legend("directories")}</div>
+      <h3>Biggest movers</h3>
+      <div class="filters">
+        <select id="movers-kind">
+          <option value="rules">Rules</option>
+          <option value="categories">Categories</option>
+          <option value="directories">Directories</option>
+        </select>
+        <input type="search" id="movers-search" placeholder="Filter by name">
+      </div>
+      <table class="leaderboard-table movers">
+        <thead>
+          <tr>
+            <th>Name</th>
+            <th class="number">From</th>
+            <th class="number">To</th>
+            <th class="number">Change</th>
+          </tr>
+        </thead>
+        <tbody id="movers">${initial.movers}</tbody>
+      </table>
+    </div>
+    <script type="application/json" id="trend-data">${JSON.stringify(data).replace(/</g, "\\u003c")}</script>
+    <script>
+      const CHART_COLORS = ${JSON.stringify(CHART_COLORS)};
+${embedded}
+
+      const data = JSON.parse(document.getElementById("trend-data").textContent);
+      const byId = (id) => document.getElementById(id);
+
+      function update() {
+        const hidden = [...document.querySelectorAll("[data-series]")]
+          .filter((input) => !input.checked)
+          .map((input) => input.dataset.series);
+        const trends = renderTrends(data, {
+          from: byId("trend-from").value,
+          to: byId("trend-to").value,
+          hidden,
+          moversKind: byId("movers-kind").value,
+          search: byId("movers-search").value,
+        });
+        byId("trend-categories").innerHTML = trends.categories;
+        byId("trend-directories").innerHTML = trends.directories;
+        byId("movers").innerHTML = trends.movers;
+      }
+
+      document
+        .querySelectorAll("input, select")
+        .forEach((input) => input.addEventListener("input", update));
+    </script>`;
+}
+
+// One leaderboard table; heroes are ranked by removed errors, villains by added
+function renderLeaderboardTable(title, leaders, isHeroes) {
+  const rows = leaders.map((leader, index) => {
+    let netClass = "neutral";
+    if (leader.net !== 0) netClass = leader.net < 0 ? "negative" : "positive";
+    return `
+            <tr>
+              <td class="rank">${index + 1}</td>
+              <td class="author">${escapeXml(leader.author)}</td>
+              <td class="number">${(isHeroes ? leader.removed : leader.added).toLocaleString("en-US")}</td>
+              <td class="number ${netClass}">${formatSignedCount(leader.net)}</td>
+            </tr>`;
+  });
+  return `
+        <div class="leaderboard">
+          <h3><span class="medal">${isHeroes ? "🏆" : "⚠️"}</span> ${title}</h3>
+          <table class="leaderboard-table">
+            <thead>
+              <tr>
+                <th style="width:40px">#</th>
+                <th>Author</th>
+                <th class="number">${isHeroes ? "Removed" : "Added"}</th>
+                <th class="number">Net</th>
+              </tr>
+            </thead>
+            <tbody>${rows.join("")}
+            </tbody>
+          </table>
+        </div>`;
+}
+
+// Trend chart and leaderboards for one period of the history
+function renderChartSection(title, history, leaderboardPrefix) {
+  const { heroes, villains } = computeLeaderboard(history);
+  return `
+    <div class="section">
+      <h2>${title}</h2>
+      ${renderTrendSvg(history)}
+      <div class="leaderboards">${renderLeaderboardTable(`${leaderboardPrefix}Top Error Removers`, heroes, true)}${renderLeaderboardTable(`${leaderboardPrefix}Top Error Adders`, villains, false)}
+      </div>
+    </div>`;
+}
+
+const CHART_STYLES = `
+    * {
+      margin: 0;
+      padding: 0;
+      box-sizing: border-box;
+    }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      min-height: 100vh;
+      padding: 20px;
+    }
+    .container {
+      max-width: 1600px;
+      margin: 0 auto;
+      background: white;
+      border-radius: 16px;
+      box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
+      padding: 40px;
+    }
+    h1 {
+      color: #333;
+      margin-bottom: 10px;
+      font-size: 2.5em;
+      text-align: center;
+    }
+    h2 {
+      color: #555;
+      margin: 40px 0 20px 0;
+      font-size: 1.8em;
+      border-bottom: 3px solid #667eea;
+      padding-bottom: 10px;
+    }
+    .subtitle {
+      text-align: center;
+      color: #666;
+      margin-bottom: 30px;
+      font-size: 1.1em;
+    }
+    .stats {
+      display: grid;
+      grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+      gap: 20px;
+      margin-bottom: 40px;
+    }
+    .stat-card {
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      color: white;
+      padding: 25px;
+      border-radius: 12px;
+      box-shadow: 0 4px 15px rgba(0, 0, 0, 0.1);
+    }
+    .stat-card h3 {
+      font-size: 0.9em;
+      opacity: 0.9;
+      margin-bottom: 10px;
+      text-transform: uppercase;
+      letter-spacing: 1px;
+    }
+    .stat-card .value {
+      font-size: 2.5em;
+      font-weight: bold;
+    }
+    .stat-card .change {
+      font-size: 0.9em;
+      margin-top: 8px;
+      opacity: 0.9;
+    }
+    .chart {
+      display: block;
+      width: 100%;
+      height: auto;
+      margin-bottom: 40px;
+    }
+    .chart text {
+      font-size: 12px;
+      fill: #666;
+    }
+    .chart .grid {
+      stroke: rgba(0, 0, 0, 0.08);
+    }
+    .chart .line {
+      fill: none;
+      stroke: #667eea;
+      stroke-width: 2;
+    }
+    .chart .area {
+      fill: rgba(102, 126, 234, 0.1);
+    }
+    .chart circle {
+      fill: #667eea;
+      stroke: #fff;
+      stroke-width: 1.5;
+    }
+    .chart circle:hover {
+      r: 6;
+    }
+    .empty {
+      color: #999;
+      margin-bottom: 40px;
+    }
+    .leaderboards {
+      display: grid;
+      grid-template-columns: repeat(auto-fit, minmax(400px, 1fr));
+      gap: 30px;
+      margin-bottom: 40px;
+    }
+    .leaderboard {
+      background: #f8f9fa;
+      border-radius: 12px;
+      padding: 25px;
+      box-shadow: 0 2px 10px rgba(0, 0, 0, 0.05);
+    }
+    .leaderboard h3 {
+      color: #333;
+      margin-bottom: 20px;
+      font-size: 1.3em;
+      display: flex;
+      align-items: center;
+      gap: 10px;
+    }
+    .leaderboard-table {
+      width: 100%;
+      border-collapse: collapse;
+    }
+    .leaderboard-table th {
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      color: white;
+      padding: 12px 8px;
+      text-align: left;
+      font-size: 0.85em;
+      text-transform: uppercase;
+      letter-spacing: 0.5px;
+    }
+    .leaderboard-table td {
+      padding: 12px 8px;
+      border-bottom: 1px solid #e0e0e0;
+    }
+    .leaderboard-table tr:hover {
+      background: #f0f0f0;
+    }
+    .leaderboard-table tr:last-child td {
+      border-bottom: none;
+    }
+    .rank {
+      font-weight: bold;
+      color: #667eea;
+      font-size: 1.1em;
+    }
+    .author {
+      font-weight: 500;
+    }
+    .number {
+      text-align: right;
+      font-family: 'Courier New', monospace;
+    }
+    .positive {
+      color: #10b981;
+    }
+    .negative {
+      color: #ef4444;
+    }
+    .neutral {
+      color: #6b7280;
+    }
+    .section {
+      margin-bottom: 60px;
+    }
+    .footer {
+      text-align: center;
+      color: #999;
+      font-size: 0.9em;
+      margin-top: 30px;
+      padding-top: 20px;
+      border-top: 1px solid #eee;
+    }
+    .medal {
+      font-size: 1.5em;
+    }
+    .section h3 {
+      color: #555;
+      margin: 30px 0 10px 0;
+    }
+    .chart .column {
+      fill: transparent;
+    }
+    .chart .column:hover {
+      fill: rgba(0, 0, 0, 0.04);
+    }
+    .legend {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 8px 20px;
+      margin: -30px 0 30px 0;
+      font-size: 0.9em;
+      color: #555;
+    }
+    .legend label,
+    .filters label {
+      display: inline-flex;
+      align-items: center;
+      gap: 6px;
+      cursor: pointer;
+    }
+    .swatch {
+      width: 12px;
+      height: 12px;
+      border-radius: 3px;
+    }
+    .filters {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 10px 20px;
+      margin-bottom: 20px;
+      color: #555;
+    }
+    .filters input,
+    .filters select {
+      padding: 6px 8px;
+      border: 1px solid #ddd;
+      border-radius: 6px;
+      font: inherit;
+    }
+    .movers {
+      margin-bottom: 40px;
+    }
+`;
+
+// Self-contained HTML report: works offline, and the charts are drawn
+// without scripts (the inline script only applies the trend filters)
+function renderChartHtml(history, source, generatedAt = new Date()) {
+  const current = history.at(-1);
+  const peak = history.reduce(
+    (max, point) => (point.errors > max.errors ? point : max),
+    history[0]
+  );
+  const totalChange = current.errors - history[0].errors;
+  const fourWeeksAgo = generatedAt.getTime() - 28 * 24 * 60 * 60 * 1000;
+  const card = (title, value, detail) =>
+    `
+      <div class="stat-card">
+        <h3>${title}</h3>
+        <div class="value">${value}</div>
+        <div class="change">${detail}</div>
+      </div>`;
+
+  const stats = [
+    card(
+      "Current Count",
+      current.errors.toLocaleString("en-US"),
+      `As of ${formatChartDate(current.date)}`
+    ),
+    card(
+      "Peak Count",
+      peak.errors.toLocaleString("en-US"),
+      `On ${formatChartDate(peak.date)}`
+    ),
+    card(
+      "Total Reduction",
+      `<span class="${totalChange < 0 ? "negative" : "positive"}">${totalChange < 0 ? "↓" : "↑"} ${Math.abs(totalChange).toLocaleString("en-US")}</span>`,
+      "Since tracking started"
+    ),
+    card(
+      "Commits Tracked",
+      history.length.toLocaleString("en-US"),
+      "Historical data points"
+    ),
+  ];
+  const recent = history.filter(
+    (point) => Date.parse(point.date) >= fourWeeksAgo
+  );
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Biome Suppressions Over Time</title>
+  <style>${CHART_STYLES}  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>📊 Biome Suppressions Tracker</h1>
+    <p class="subtitle">Tracking suppressed linting errors in ${escapeXml(source)}</p>
+    <div class="stats">${stats.join("")}
+    </div>
+${renderChartSection("📅 Last 4 Weeks", recent, "")}
+${renderChartSection("📈 All Time", history, "All-Time ")}
+${renderTrendsSection(history)}
+    <div class="footer">
+      Generated from git history of ${escapeXml(source)} | Last updated: ${generatedAt.toISOString().replace("T", " ").slice(0, 16)} UTC
+    </div>
+  </div>
+</body>
+</html>
+`;
+}
+
+const CHART_HISTORY_FIELDS = ["commit", "date", "author", "errors", "change"];
+
+// CSV cell, quoted when it contains a comma, quote or line break
+function csvField(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per commit with its total, plus a column per rule category
+function formatHistoryCsv(history) {
+  const categories = Object.keys(buildTrendData(history).categories).sort();
+  const rows = history.map((point) => {
+    const counts = {};
+    for (const [rule, count] of Object.entries(point.rules)) {
+      const category = getRuleCategory(rule);
+      counts[category] = (counts[category] || 0) + count;
+    }
+    return [
+      ...CHART_HISTORY_FIELDS.map((field) => point[field]),
+      ...categories.map((category) => counts[category] || 0),
+    ];
+  });
+  return [[...CHART_HISTORY_FIELDS, ...categories], ...rows]
+    .map((row) => row.map(csvField).join(","))
+    .join("\n");
+}
+
+// bs chart [output-file] [--ref <ref>] [--since <date>] [--until <date>]
+// [--first-parent] [--csv <path>] [--json <path>]
+function parseChartArgs(args) {
+  const options = {
+    outputFile: "biome-suppressions-chart.html",
+    ref: null, // null = all refs
+    since: null,
+    until: null,
+    firstParent: false,
+    blame: false, // Credit added errors to their line authors
+    csvFile: null,
+    jsonFile: null,
+  };
+  const valueFlags = {
+    "--ref": "ref",
+    "--since": "since",
+    "--until": "until",
+    "--csv": "csvFile",
+    "--json": "jsonFile",
   };
 
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
-    if (arg === "--write") {
-      options.write = true;
-    } else if (arg === "--skip-suppression-update") {
-      options.skipSuppressionUpdate = true;
-    } else if (arg === "--suppression-fail-on-improvement") {
-      options.suppressionFailOnImprovement = true;
-    } else if (!arg.startsWith("--")) {
-      options.files.push(arg);
+    const flag = Object.keys(valueFlags).find(
+      (name) => arg === name || arg.startsWith(`${name}=`)
+    );
+    if (flag) {
+      const value = arg === flag ? args[++i] : arg.slice(flag.length + 1);
+      if (!value) {
+        console.error(`❌ ${flag} requires a value`);
+        process.exit(1);
+      }
+      options[valueFlags[flag]] = value;
+    } else if (arg === "--first-parent") {
+      options.firstParent = true;
+    } else if (arg === "--blame") {
+      options.blame = true;
+    } else if (arg.startsWith("-")) {
+      console.error(`❌ Unknown chart option: ${arg}`);
+      process.exit(1);
+    } else {
+      options.outputFile = arg;
     }
   }
-
-  // Default to current directory if no files specified
-  if (options.files.length === 0) {
-    options.files = ["."];
-  }
-
-  // Sanitize file paths
-  options.files = sanitizeFilePaths(options.files);
-
-  if (options.files.length === 0) {
-    console.error("❌ No valid files or directories found");
-    process.exit(1);
-  }
-
   return options;
 }
 
-// Token-efficient error display
-function displayNewErrors(newErrors) {
-  console.error(
-    `❌ Found ${newErrors.length} new error${newErrors.length > 1 ? "s" : ""}:`
-  );
-  console.error("");
+// Describe the charted history: baseline file, ref and date range
+function describeChartHistory(baselineFile, options) {
+  return [
+    baselineFile,
+    options.ref &&
+      `on ${options.ref}${options.firstParent ? " (first-parent)" : ""}`,
+    !options.ref && options.firstParent && "(first-parent)",
+    options.since && `since ${options.since}`,
+    options.until && `until ${options.until}`,
+  ]
+    .filter(Boolean)
+    .join(" ");
+}
 
-  // Group by rule for better UX
-  const byRule = groupBy(newErrors, "rule");
+// Generate the HTML report (and optional CSV/JSON time series) from the
+// baseline's git history
+async function chartCommand(args) {
+  const options = parseChartArgs(args);
+  const config = loadConfig();
+  const baselineFile = config.baseline || BASELINE_FILE;
+  const source = describeChartHistory(baselineFile, options);
+  console.log("📊 Generating Biome Suppressions Chart...");
+  console.log(`📖 Reading git history of ${source}...`);
 
-  Object.entries(byRule).forEach(([rule, errors]) => {
+  let history;
+  try {
+    history = await readBaselineHistory(baselineFile, options, {
+      blame: options.blame || config.blame === true,
+    });
+  } catch (error) {
     console.error(
-      `  ${rule} (${errors.length} error${errors.length > 1 ? "s" : ""}):`
+      `❌ Error reading git history: ${error.code === "ENOENT" ? "this command requires git" : error.stderr?.toString().trim() || error.message}`
     );
-    errors.forEach((error) => {
-      console.error(`    ${error.file}:${error.line}`);
-    });
-    console.error("");
-  });
+    return 1;
+  }
+  if (history.length === 0) {
+    console.error(`❌ No git history found for ${source}`);
+    console.error(
+      `   Make sure you're in a git repository with ${baselineFile} committed.`
+    );
+    return 1;
+  }
+  console.log(`✅ Extracted ${history.length} data points from git history`);
 
-  // Actionable next steps
-  const files = [...new Set(newErrors.map((e) => e.file))];
-  console.error(`Fix the issues then run: npx biome check --write ${files.join(" ")}`);
-}
+  fs.writeFileSync(
+    options.outputFile,
+    renderChartHtml(history, source),
+    "utf8"
+  );
+  console.log(`✅ Generated chart: ${options.outputFile}`);
+  if (options.csvFile) {
+    fs.writeFileSync(options.csvFile, `${formatHistoryCsv(history)}\n`);
+    console.log(`✅ Exported time series: ${options.csvFile}`);
+  }
+  if (options.jsonFile) {
+    fs.writeFileSync(options.jsonFile, `${JSON.stringify(history, null, 2)}\n`);
+    console.log(`✅ Exported time series: ${options.jsonFile}`);
+  }
+  console.log("\n🎉 Done! Open the file in your browser to view.");
 
-// Main check command logic
-function checkCommand(args) {
-  const options = parseArgs(args);
-  const { files, write, skipSuppressionUpdate, suppressionFailOnImprovement } =
-    options;
+  const current = history.at(-1);
+  const peak = history.reduce(
+    (max, point) => (point.errors > max.errors ? point : max),
+    history[0]
+  );
+  console.log("\n📊 Summary:");
+  console.log(`   Current: ${current.errors.toLocaleString()} suppressions`);
+  console.log(`   Peak: ${peak.errors.toLocaleString()} suppressions`);
+  console.log(
+    `   Reduction: ${peak.errors === 0 ? "0.0" : ((1 - current.errors / peak.errors) * 100).toFixed(1)}%`
+  );
+  return 0;
+}
 
-  console.log(`🔍 Running biome check${write ? " with --write" : ""}...`);
+// The baseline flow behind `bs init`, `bs update` and their API
+// counterparts. "init" replaces the whole baseline with the current errors;
+// "update" replaces only the entries for the given files (and the rules and
+// severities the run tracks) and keeps the rest. Denied rules are never
+// baselined. Never prints.
+async function recordErrors(context, mode) {
+  const { baselinePath } = context;
+  const errors = await collectCurrentErrors({ ...context, write: false });
+  const deniedErrors = errors.filter((error) =>
+    isDeniedRule(error.rule, context.deny)
+  );
+  const baselinedErrors = errors.filter(
+    (error) => !deniedErrors.includes(error)
+  );
 
-  // Run biome check
-  const result = runBiome(files, write);
-  const currentErrors = parseGitHubErrors(result.stdout);
+  const existing = loadRunBaseline(context);
+  const kept =
+    mode === "update" && existing
+      ? partitionBaseline(
+          existing,
+          normalizeScope(context.files, context.cwd),
+          createErrorFilter(context)
+        ).outside
+      : [];
+  const baseline = saveBaseline(
+    baselinePath,
+    [...kept, ...baselinedErrors],
+    getRecordedBiomeVersion(context, existing)
+  );
+  const budgetOverruns = findBudgetOverruns(baseline.errors, context.budgets);
+  return {
+    exitCode: deniedErrors.length > 0 || budgetOverruns.length > 0 ? 1 : 0,
+    baselinePath,
+    baseline,
+    baselinedErrors,
+    deniedErrors,
+    budgetOverruns,
+  };
+}
 
+// Create the baseline from scratch (init), or accept the current errors into
+// it for the given files (update)
+async function recordCommand(args, mode, config = loadConfig()) {
+  const options = parseArgs(args, config);
+  const scope = normalizeScope(options.files);
+  if (hasNoGitFiles(options, "baseline")) return 0;
   console.log(
-    `Found ${currentErrors.length} error${currentErrors.length === 1 ? "" : "s"}${write ? " (after fixes applied)" : ""}`
+    mode === "init"
+      ? `🔍 Running initial biome ${options.baselineFor}...`
+      : `🔍 Running biome ${options.baselineFor} to update baseline...`
   );
+  const result = await recordErrors(
+    resolveCliContext(options, options.baselineFor),
+    mode
+  );
+  const count = result.baselinedErrors.length;
+  console.log(
+    mode === "init"
+      ? `✅ Baseline created with ${count} error${count === 1 ? "" : "s"}${describeScope(scope)}`
+      : `📊 Baseline updated with ${count} error${count === 1 ? "" : "s"}${describeScope(scope)} (${result.baseline.fingerprints.length} total)`
+  );
+  displayPolicyViolations(result.deniedErrors, result.budgetOverruns);
+  return result.exitCode;
+}
 
-  // Load baseline
-  const baseline = loadBaseline();
-
-  if (!baseline) {
-    console.log("📊 No baseline found, creating initial baseline...");
-    saveBaseline(currentErrors);
+// Show the baseline's size, biome version and last update
+function statusCommand(args, config = loadConfig()) {
+  const options = parseArgs(args, config);
+  const baselinePath = getBaselinePath(
+    options.baselineFor,
+    options.baselineFile
+  );
+  const baseline = loadBaseline(baselinePath);
+  if (baseline) {
     console.log(
-      `✅ Baseline created with ${currentErrors.length} error${currentErrors.length === 1 ? "" : "s"}`
+      `📊 Baseline: ${baseline.fingerprints.length} error${baseline.fingerprints.length === 1 ? "" : "s"}`
     );
-    return currentErrors.length > 0 ? 1 : 0;
+    console.log(`🔧 Biome version: ${baseline.biomeVersion}`);
+    const biomeVersion = getBiomeVersion(options.biomeBinary);
+    if (biomeVersion !== "unknown" && biomeVersion !== baseline.biomeVersion) {
+      console.log(
+        `⬆️  Installed biome is ${formatBiomeVersion(biomeVersion)}; run \`bs upgrade${describeBaselineFor(options.baselineFor)}\` to baseline errors the upgrade introduced`
+      );
+    }
+    displayExpiryStatus(baseline, options);
+    // Show file timestamp instead
+    try {
+      const stats = fs.statSync(baselinePath);
+      console.log(`📅 Last updated: ${stats.mtime.toISOString()}`);
+    } catch {}
+  } else {
+    console.log("ℹ️  No baseline found");
   }
+  return 0;
+}
 
-  // Compare with baseline
-  const currentFingerprints = new Set(
-    currentErrors.map(createErrorFingerprint)
+// Overdue baselined debt by owner, and how much expires soon
+function displayExpiryStatus(baseline, options) {
+  const problems = validateBaselineMetadata(baseline.metadata);
+  if (problems.length > 0) {
+    console.log(
+      `❌ Invalid "metadata" in the baseline: ${problems.join("; ")}`
+    );
+    return;
+  }
+  // Only the severities check compares, so both agree on what's overdue
+  const { expired, expiring } = findExpiringEntries(
+    baseline.errors.filter(createErrorFilter(options)),
+    baseline.metadata,
+    {
+      warningDays: options.expiryWarningDays,
+      codeowners: options.codeowners ? loadCodeowners() : [],
+    }
   );
-  const baselineFingerprints = new Set(baseline.fingerprints);
+  if (expired.length > 0) {
+    console.log(
+      `⏰ Overdue: ${expired.length} error${expired.length === 1 ? "" : "s"} past ${expired.length === 1 ? "its" : "their"} expiry`
+    );
+    const byOwner = groupBy(
+      expired.map((entry) => ({
+        ...entry,
+        owner: entry.owner || "(no owner)",
+      })),
+      "owner"
+    );
+    Object.entries(byOwner)
+      .sort(
+        ([a, aErrors], [b, bErrors]) =>
+          bErrors.length - aErrors.length || a.localeCompare(b)
+      )
+      .forEach(([owner, ownerErrors]) => {
+        console.log(`   ${owner}: ${ownerErrors.length}`);
+      });
+  }
+  if (expiring.length > 0) {
+    console.log(
+      `⏳ ${expiring.length} error${expiring.length === 1 ? "" : "s"} expire${expiring.length === 1 ? "s" : ""} within ${options.expiryWarningDays} day${options.expiryWarningDays === 1 ? "" : "s"}`
+    );
+  }
+}
 
-  // Find new errors (not in baseline)
-  const newErrors = currentErrors.filter(
-    (error) => !baselineFingerprints.has(createErrorFingerprint(error))
-  );
+// Quiet period before a watch run, so a save touching several files (or an
+// editor writing a file in steps) triggers one biome run
+const WATCH_DEBOUNCE_MS = 100;
 
-  // Find fixed errors (in baseline but not current)
-  const fixedCount = baseline.fingerprints.filter(
-    (fp) => !currentFingerprints.has(fp)
-  ).length;
+// Files a watch run reacts to: nothing in node_modules or .git, and not the
+// baseline itself
+function isWatchedPath(file, baselinePath) {
+  return (
+    !file
+      .split("/")
+      .some((segment) => segment === "node_modules" || segment === ".git") &&
+    file !== normalizeScope([baselinePath])[0]
+  );
+}
 
-  // Auto-improvement: update baseline if fewer errors (unless skipped)
-  if (currentErrors.length < baseline.fingerprints.length) {
-    console.log(
-      `🎉 Improvement detected! ${baseline.fingerprints.length} → ${currentErrors.length} error${currentErrors.length === 1 ? "" : "s"} (-${baseline.fingerprints.length - currentErrors.length})`
+// Report of a watch run: new and fixed errors in the saved files only
+function formatWatchResult({ newErrors, fixedErrors, remainingErrors }) {
+  const list = (errors) =>
+    errors.map(
+      (error) =>
+        `  ${error.rule}: ${error.file}:${error.line}${error.message ? ` ${error.message}` : ""}`
+    );
+  const lines = [];
+  if (newErrors.length > 0) {
+    lines.push(
+      `❌ ${newErrors.length} new error${newErrors.length === 1 ? "" : "s"}:`,
+      ...list(newErrors)
+    );
+  }
+  if (fixedErrors.length > 0) {
+    lines.push(
+      `🎉 ${fixedErrors.length} baselined error${fixedErrors.length === 1 ? "" : "s"} fixed:`,
+      ...list(fixedErrors)
     );
+  }
+  if (newErrors.length === 0) {
+    lines.push(`✅ No new errors (${remainingErrors.length} still baselined)`);
+  }
+  return lines;
+}
 
-    if (suppressionFailOnImprovement) {
-      console.error(
-        "❌ Unexpected improvement detected in CI mode (--suppression-fail-on-improvement)"
-      );
-      console.error("   Fix the errors, then update the suppression with `yarn bs --write`");
-      return 1; // Failure - baseline needs updating
+// Watch files and directories, recursively where the platform supports it
+// (Linux needs Node 20) and one directory at a time otherwise
+function watchPaths(targets, onChange) {
+  const watchers = [];
+  const watchDirectory = (dir, recursive) => {
+    watchers.push(
+      fs.watch(dir, { recursive }, (_event, filename) => {
+        if (filename) onChange(path.join(dir, filename.toString()));
+      })
+    );
+  };
+  const watchTree = (dir) => {
+    watchDirectory(dir, false);
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (
+        entry.isDirectory() &&
+        entry.name !== "node_modules" &&
+        entry.name !== ".git"
+      ) {
+        watchTree(path.join(dir, entry.name));
+      }
     }
+  };
 
-    if (skipSuppressionUpdate) {
-      console.log("📊 Baseline update skipped (--skip-suppression-update)");
-    } else {
-      saveBaseline(currentErrors);
-      console.log("📊 Baseline updated automatically");
+  for (const target of targets) {
+    if (!fs.statSync(target).isDirectory()) {
+      watchers.push(fs.watch(target, () => onChange(target)));
+      continue;
+    }
+    try {
+      watchDirectory(target, true);
+    } catch {
+      watchTree(target);
     }
-    return 0; // Success on improvement
   }
+  return watchers;
+}
 
-  // Same or fewer errors: success
-  if (newErrors.length === 0) {
-    if (fixedCount > 0) {
+// Re-run biome on saved files and report new and fixed errors against their
+// baseline entries until quit. The baseline is only written when asked (u
+// key).
+function watchCommand(args) {
+  const options = parseArgs(args, loadConfig());
+  const command = options.baselineFor;
+  const baselinePath = getBaselinePath(command, options.baselineFile);
+  let fullBaseline = loadBaseline(baselinePath);
+  if (!fullBaseline) {
+    console.error(
+      `❌ No baseline found; run \`bs init${describeBaselineFor(command)}\` first`
+    );
+    return 1;
+  }
+  const errorFilter = createErrorFilter(options);
+  const checked = new Map(); // File → its errors in the latest run
+  const pending = new Set();
+  let timer = null;
+  let running = false;
+
+  const compare = (files) =>
+    compareScopedBaseline(
+      fullBaseline,
+      files.flatMap((file) => checked.get(file)),
+      {
+        scope: files,
+        errorFilter,
+        deny: options.deny,
+        budgets: options.budgets,
+      }
+    );
+
+  const run = async () => {
+    running = true;
+    // Directories only change when their files do; deleted paths are checked
+    // with no errors, so their baseline entries show as fixed
+    const files = [...pending]
+      .filter((file) => !fs.existsSync(file) || fs.statSync(file).isFile())
+      .sort();
+    pending.clear();
+    try {
+      const existing = files.filter((file) => fs.existsSync(file));
+      const errors =
+        existing.length === 0
+          ? []
+          : (
+              await runBiomeForErrors(existing, {
+                command,
+                biomeBinary: options.biomeBinary,
+                extraArgs: [
+                  ...options.biomeArgs,
+                  "--no-errors-on-unmatched",
+                  "--files-ignore-unknown=true",
+                ],
+              })
+            ).filter(errorFilter);
+      const byFile = groupBy(errors, "file");
+      for (const file of files) checked.set(file, byFile[file] || []);
+      if (files.length > 0) {
+        console.log(`\n🔄 ${files.join(", ")}`);
+        for (const line of formatWatchResult(compare(files))) console.log(line);
+      }
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+    } finally {
+      running = false;
+      if (pending.size > 0) schedule();
+    }
+  };
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(run, WATCH_DEBOUNCE_MS);
+  };
+
+  // Shrink the baseline by the errors fixed in the files checked so far,
+  // like bs check does on improvement
+  const saveFixes = () => {
+    const { outside, newErrors, fixedFingerprints, remainingErrors } = compare([
+      ...checked.keys(),
+    ]);
+    if (newErrors.length > 0) {
       console.log(
-        `✅ No new errors. Fixed ${fixedCount} existing error${fixedCount === 1 ? "" : "s"}!`
+        `⚠️  Baseline not updated while ${newErrors.length} new error${newErrors.length === 1 ? "" : "s"} remain`
       );
+    } else if (fixedFingerprints.length === 0) {
+      console.log("ℹ️  No fixed errors to remove from the baseline");
     } else {
+      fullBaseline = saveBaseline(
+        baselinePath,
+        [...outside, ...remainingErrors],
+        fullBaseline.biomeVersion
+      );
       console.log(
-        `✅ No new errors (${currentErrors.length} existing error${currentErrors.length === 1 ? "" : "s"} suppressed)`
+        `📊 Baseline updated: ${fixedFingerprints.length} fixed error${fixedFingerprints.length === 1 ? "" : "s"} removed (${fullBaseline.fingerprints.length} total)`
       );
     }
-    return 0;
+  };
+
+  const watchers = watchPaths(options.files, (changedPath) => {
+    const file = normalizeScope([changedPath])[0];
+    if (!isWatchedPath(file, baselinePath)) return;
+    pending.add(file);
+    if (!running) schedule();
+  });
+  const interactive = Boolean(process.stdin.isTTY);
+  console.log(
+    `👀 Watching ${options.files.join(", ")} against ${baselinePath} (${fullBaseline.fingerprints.length} error${fullBaseline.fingerprints.length === 1 ? "" : "s"})${interactive ? "; press u to remove fixed errors from the baseline, q to quit" : ""}`
+  );
+
+  return new Promise((resolve) => {
+    const stop = () => {
+      for (const watcher of watchers) watcher.close();
+      clearTimeout(timer);
+      if (interactive) {
+        process.stdin.setRawMode(false);
+        process.stdin.pause();
+      }
+      resolve(0);
+    };
+    process.once("SIGINT", stop);
+    if (interactive) {
+      process.stdin.setRawMode(true);
+      process.stdin.setEncoding("utf8");
+      process.stdin.resume();
+      process.stdin.on("data", (key) => {
+        if (key === "u") saveFixes();
+        // Raw mode turns Ctrl+C into input instead of SIGINT
+        if (key === "q" || key === "\u0003") stop();
+      });
+    }
+  });
+}
+
+// Value of "--flag value" or "--flag=value" in raw arguments
+function getFlagValue(args, flag) {
+  const index = args.findIndex(
+    (arg) => arg === flag || arg.startsWith(`${flag}=`)
+  );
+  if (index === -1) return null;
+  return args[index] === flag
+    ? args[index + 1]
+    : args[index].slice(flag.length + 1);
+}
+
+// Baseline file a workspace run uses, from the --for and --baseline flags
+function getWorkspaceBaselinePath(command, args, config) {
+  return getBaselinePath(
+    BIOME_COMMANDS.includes(command)
+      ? command
+      : getFlagValue(args, "--for") || "check",
+    getFlagValue(args, "--baseline") || config.baseline || BASELINE_FILE
+  );
+}
+
+// Run check, lint, format, ci, init, update or status with a loaded config
+function runBaselineCommand(command, args, config) {
+  if (command === "init" || command === "update") {
+    return recordCommand(args, command, config);
   }
+  if (command === "status") return statusCommand(args, config);
+  return checkCommand(args, command, config);
+}
 
-  // New errors found: failure
-  displayNewErrors(newErrors);
-  console.error(
-    `Baseline: ${baseline.fingerprints.length} error${baseline.fingerprints.length === 1 ? "" : "s"}, Current: ${currentErrors.length} error${currentErrors.length === 1 ? "" : "s"}`
+// Run a command in each selected workspace, with its own baseline and the
+// root config as defaults for the workspace's config, then summarize
+async function workspacesCommand(command, args, names, rootConfig) {
+  const outputFormat =
+    getFlagValue(args, "--output-format") || rootConfig.outputFormat;
+  if (
+    BIOME_COMMANDS.includes(command) &&
+    outputFormat &&
+    outputFormat !== "text" &&
+    !getFlagValue(args, "--output-file")
+  ) {
+    console.error(
+      "❌ Workspace runs write one report per workspace: add --output-file <path> (relative to each workspace)"
+    );
+    return 1;
+  }
+  const root = process.cwd();
+  const workspaces = findWorkspaces(root);
+  if (workspaces.length === 0) {
+    console.error(
+      `❌ No workspaces found in package.json or ${PNPM_WORKSPACE_FILE}`
+    );
+    return 1;
+  }
+  const unknown = names.filter(
+    (name) => !workspaces.some((workspace) => matchesWorkspace(workspace, name))
   );
+  if (unknown.length > 0) {
+    console.error(
+      `❌ Unknown workspace${unknown.length === 1 ? "" : "s"}: ${unknown.join(", ")} (available: ${workspaces.map((workspace) => workspace.name).join(", ")})`
+    );
+    return 1;
+  }
+  const selected =
+    names.length > 0
+      ? workspaces.filter((workspace) =>
+          names.some((name) => matchesWorkspace(workspace, name))
+        )
+      : workspaces;
+
+  const results = [];
+  for (const workspace of selected) {
+    console.log(`\n📦 ${workspace.name} (${workspace.dir})`);
+    process.chdir(path.join(root, workspace.dir));
+    try {
+      const config = { ...rootConfig, ...loadConfig() };
+      const code = await runBaselineCommand(command, args, config);
+      const baselinePath = getWorkspaceBaselinePath(command, args, config);
+      let suppressed = 0;
+      if (fs.existsSync(baselinePath)) {
+        suppressed =
+          readBaselineFile(baselinePath).baseline.fingerprints.length;
+      }
+      results.push({ ...workspace, code, suppressed });
+    } finally {
+      process.chdir(root);
+    }
+  }
 
-  return 1; // Failure
+  console.log("\n📦 Workspaces:");
+  for (const { name, dir, code, suppressed } of results) {
+    console.log(
+      `  ${code === 0 ? "✅" : "❌"} ${name} (${dir}): ${suppressed} suppressed`
+    );
+  }
+  const total = results.reduce((sum, result) => sum + result.suppressed, 0);
+  console.log(
+    `📊 ${total} suppressed error${total === 1 ? "" : "s"} across ${results.length} workspace${results.length === 1 ? "" : "s"}`
+  );
+  const failed = results.filter((result) => result.code !== 0);
+  if (failed.length > 0) {
+    console.error(
+      `❌ ${failed.length} of ${results.length} workspaces failed: ${failed.map((result) => result.name).join(", ")}`
+    );
+    return 1;
+  }
+  return 0;
 }
 
-// CLI command dispatcher
-function main() {
-  const [, , command, ...args] = process.argv;
+// Programmatic API: check, init, update, loadBaseline and diff take options
+// instead of CLI arguments, never print or exit, and return plain results.
+// check, init and update run the same flows as the CLI.
 
-  switch (command) {
-    case "check":
-      process.exit(checkCommand(args));
-
-    case "init": {
-      const options = parseArgs(args);
-      console.log("🔍 Running initial biome check...");
-      const result = runBiome(options.files, false); // Never use --write for init
-      const errors = parseGitHubErrors(result.stdout);
-      saveBaseline(errors);
-      console.log(
-        `✅ Baseline created with ${errors.length} error${errors.length === 1 ? "" : "s"}`
-      );
-      process.exit(0);
+// Resolve API options to the shape parseArgs produces. Paths are relative to
+// `cwd`, and the config file isn't read.
+function resolveApiOptions(options = {}) {
+  const cwd = path.resolve(options.cwd || process.cwd());
+  const command = options.command || "check";
+  if (!BIOME_COMMANDS.includes(command)) {
+    throw new Error(`command must be one of: ${BIOME_COMMANDS.join(", ")}`);
+  }
+  for (const key of ["baselineSeverities", "failSeverities"]) {
+    const severities = options[key];
+    if (
+      severities !== undefined &&
+      !(
+        Array.isArray(severities) &&
+        severities.length > 0 &&
+        severities.every((severity) => SEVERITIES.includes(severity))
+      )
+    ) {
+      throw new Error(`${key} must be a list of: ${SEVERITIES.join(", ")}`);
     }
+  }
 
-    case "update": {
-      const options = parseArgs(args);
-      console.log("🔍 Running biome check to update baseline...");
-      const updateResult = runBiome(options.files, false); // Never use --write for update
-      const updateErrors = parseGitHubErrors(updateResult.stdout);
-      saveBaseline(updateErrors);
-      console.log(
-        `📊 Baseline updated with ${updateErrors.length} error${updateErrors.length === 1 ? "" : "s"}`
+  return {
+    cwd,
+    command,
+    baselinePath: path.resolve(
+      cwd,
+      getBaselinePath(command, options.baseline || BASELINE_FILE)
+    ),
+    files: options.files || ["."],
+    write: options.write === true,
+    biomeArgs: options.biomeArgs || [],
+    biomeBinary: options.biomeBinary || null,
+    biomeVersion: options.biomeVersion || null,
+    diagnostics: options.diagnostics ?? null,
+    baselineSeverities: options.baselineSeverities || ["error"],
+    failSeverities: options.failSeverities || ["error"],
+    deny: options.deny || [],
+    budgets: options.budgets || {},
+    failOnImprovement: options.failOnImprovement === true,
+    updateBaseline: options.updateBaseline !== false,
+    codeowners: options.codeowners !== false,
+    expiryWarningDays: options.expiryWarningDays ?? 14,
+    today: options.today, // YYYY-MM-DD to check expiry against
+    against: options.against || null,
+    prune: options.prune === true,
+    blame: options.blame === true,
+    failOnChangedLines: options.failOnChangedLines || null,
+    migrate: false, // Never rewrite old baselines behind the caller's back
+  };
+}
+
+// Turn injected diagnostics into errors ready for fingerprinting: biome's
+// JSON report (as a string or parsed) or error objects with file, line,
+// rule and message
+function prepareDiagnostics(diagnostics, cwd) {
+  if (!Array.isArray(diagnostics)) {
+    const errors = parseJsonDiagnostics(
+      typeof diagnostics === "string"
+        ? diagnostics
+        : JSON.stringify(diagnostics),
+      cwd
+    );
+    if (!errors) {
+      throw new Error(
+        "diagnostics must be biome's JSON report or an array of errors"
       );
-      process.exit(0);
     }
+    return assignOccurrences(attachSnippets(errors, cwd));
+  }
 
-    case "clear":
-      if (fs.existsSync(".biome-suppressed.json")) {
-        fs.unlinkSync(".biome-suppressed.json");
-        console.log("🗑️  Baseline cleared");
-      } else {
-        console.log("ℹ️  No baseline to clear");
-      }
-      process.exit(0);
-
-    case "status": {
-      const baseline = loadBaseline();
-      if (baseline) {
-        console.log(
-          `📊 Baseline: ${baseline.fingerprints.length} error${baseline.fingerprints.length === 1 ? "" : "s"}`
-        );
-        console.log(`🔧 Biome version: ${baseline.biomeVersion}`);
-        // Show file timestamp instead
-        try {
-          const stats = fs.statSync(".biome-suppressed.json");
-          console.log(`📅 Last updated: ${stats.mtime.toISOString()}`);
-        } catch {}
-      } else {
-        console.log("ℹ️  No baseline found");
-      }
-      process.exit(0);
+  const errors = diagnostics.map((error) => {
+    if (typeof error?.file !== "string" || typeof error.rule !== "string") {
+      throw new Error("Each diagnostic needs a file and a rule");
     }
+    return {
+      ...error,
+      file: normalizeReportedPath(error.file, cwd),
+      line: error.line || 1,
+      message: (error.message || "").trim(),
+    };
+  });
+  return assignOccurrences(attachSnippets(sortErrors(errors), cwd));
+}
 
-    case "chart": {
-      const outputFile = args[0] || "biome-suppressions-chart.html";
-      console.log("📊 Generating Biome Suppressions Chart...");
+// The errors a run works with: injected diagnostics (API only), or a biome
+// run in `cwd`
+async function collectCurrentErrors(context) {
+  const errors =
+    context.diagnostics === null
+      ? await runBiomeForErrors(context.files, {
+          command: context.command,
+          write: context.write,
+          extraArgs: context.biomeArgs,
+          biomeBinary: context.biomeBinary,
+          cwd: context.cwd,
+        })
+      : prepareDiagnostics(context.diagnostics, context.cwd);
+  return errors.filter(createErrorFilter(context));
+}
 
-      try {
-        // Check for required commands
-        try {
-          execSync("which git", { stdio: "ignore" });
-          execSync("which jq", { stdio: "ignore" });
-        } catch {
-          console.error("❌ Error: This command requires 'git' and 'jq' to be installed.");
-          console.error("   Install jq: brew install jq (macOS) or apt-get install jq (Ubuntu)");
-          process.exit(1);
-        }
+// Biome version to record: the given one, the existing baseline's when the
+// diagnostics were injected (biome never ran), or the installed one
+function getRecordedBiomeVersion(context, existing) {
+  if (context.biomeVersion) return context.biomeVersion;
+  if (context.diagnostics !== null) return existing?.biomeVersion || "unknown";
+  return getBiomeVersion(context.biomeBinary, context.cwd);
+}
 
-        console.log("📖 Reading git history of .biome-suppressed.json...");
+// Read a baseline without migrating the file. Returns null when there is
+// none; unreadable baselines throw.
+function readBaseline(options = {}) {
+  return loadRunBaseline(resolveApiOptions(options));
+}
 
-        // Get git commits for .biome-suppressed.json
-        const commitsOutput = execSync(
-          'git log --all --pretty=format:"%H|%ci|%an" --follow -- .biome-suppressed.json',
-          { encoding: "utf8", maxBuffer: 10 * 1024 * 1024 }
-        ).trim();
+// Programmatic `bs check`
+async function checkBaseline(options = {}) {
+  return await runCheck(resolveApiOptions(options));
+}
 
-        if (!commitsOutput) {
-          console.error("❌ No git history found for .biome-suppressed.json");
-          console.error("   Make sure you're in a git repository with .biome-suppressed.json committed.");
-          process.exit(1);
-        }
+// Programmatic `bs init`: replace the whole baseline with the current errors
+async function initBaseline(options = {}) {
+  return await recordErrors(resolveApiOptions(options), "init");
+}
 
-        const commits = commitsOutput.split("\n");
-        const data = [];
-        let prevErrors = 0;
-
-        for (const line of commits) {
-          if (!line.trim()) continue;
-          const [commit, date, author] = line.split("|");
-
-          try {
-            const errorCount = parseInt(
-              execSync(
-                `git show ${commit}:.biome-suppressed.json | jq '.fingerprints | length'`,
-                { encoding: "utf8", stdio: ["pipe", "pipe", "ignore"] }
-              ).trim(),
-              10
-            );
-
-            if (errorCount > 0) {
-              const change = prevErrors !== 0 ? errorCount - prevErrors : 0;
-              data.push({ date, commit, author, errors: errorCount, change });
-              prevErrors = errorCount;
-            }
-          } catch {
-            // Skip commits where file doesn't exist or is invalid
-          }
-        }
+// Programmatic `bs update`: replace the baseline entries for `files` with
+// the current errors and keep the rest
+async function updateBaseline(options = {}) {
+  return await recordErrors(resolveApiOptions(options), "update");
+}
 
-        data.reverse(); // Chronological order
-        console.log(`✅ Extracted ${data.length} data points from git history`);
+// Entries added and removed between two baselines (or error lists, or null
+// for none), matched by fingerprint
+function diffBaselines(before, after) {
+  const entries = (side) =>
+    assignOccurrences(
+      sortErrors(Array.isArray(side) ? side : side?.errors || [])
+    );
+  const beforeEntries = entries(before);
+  const afterEntries = entries(after);
+  const beforeFingerprints = new Set(beforeEntries.map(createErrorFingerprint));
+  const afterFingerprints = new Set(afterEntries.map(createErrorFingerprint));
 
-        if (data.length === 0) {
-          console.error("❌ No valid data found in git history");
-          process.exit(1);
-        }
+  return {
+    added: afterEntries.filter(
+      (error) => !beforeFingerprints.has(createErrorFingerprint(error))
+    ),
+    removed: beforeEntries.filter(
+      (error) => !afterFingerprints.has(createErrorFingerprint(error))
+    ),
+    unchanged: afterEntries.filter((error) =>
+      beforeFingerprints.has(createErrorFingerprint(error))
+    ),
+  };
+}
 
-        // Calculate leaderboards
-        const oneMonthAgo = new Date();
-        oneMonthAgo.setMonth(oneMonthAgo.getMonth() - 1);
-
-        function aggregateByAuthor(dataset) {
-          const stats = {};
-          dataset.forEach((item) => {
-            if (!item.change) return;
-            if (!stats[item.author]) {
-              stats[item.author] = { added: 0, removed: 0, net: 0, commits: 0 };
-            }
-            if (item.change > 0) {
-              stats[item.author].added += item.change;
-            } else {
-              stats[item.author].removed += Math.abs(item.change);
-            }
-            stats[item.author].net += item.change;
-            stats[item.author].commits++;
-          });
-          return Object.entries(stats).map(([author, data]) => ({ author, ...data }));
-        }
+// CLI command dispatcher
+async function main() {
+  const [, , command, ...args] = process.argv;
 
-        const allTimeStats = aggregateByAuthor(data);
-        const recentData = data.filter((d) => new Date(d.date) >= oneMonthAgo);
-        const lastMonthStats = aggregateByAuthor(recentData);
+  // Commands that keep one baseline per workspace in a monorepo
+  if ([...BIOME_COMMANDS, "init", "update", "status"].includes(command)) {
+    const { names, all, args: commandArgs } = parseWorkspaceArgs(args);
+    const config = loadConfig();
+    if (names.length > 0 || (all ?? config.workspaces === true)) {
+      process.exit(
+        await workspacesCommand(command, commandArgs, names, config)
+      );
+    }
+    process.exit(await runBaselineCommand(command, commandArgs, config));
+  }
 
-        const leaderboards = {
-          allTime: {
-            heroes: allTimeStats.sort((a, b) => b.removed - a.removed).slice(0, 10),
-            villains: allTimeStats.sort((a, b) => b.added - a.added).slice(0, 10),
-          },
-          lastMonth: {
-            heroes: lastMonthStats.sort((a, b) => b.removed - a.removed).slice(0, 10),
-            villains: lastMonthStats.sort((a, b) => b.added - a.added).slice(0, 10),
-          },
-        };
+  switch (command) {
+    case "upgrade":
+      process.exit(await upgradeCommand(args));
 
-        console.log("✅ Calculated leaderboards");
+    case "verify":
+      process.exit(verifyCommand(args));
 
-        // Generate HTML (minified template)
-        const chartData = data.map((d) => `${d.date},${d.errors},${d.author},${d.change}`).join("\\n");
-        const html = `<!DOCTYPE html><html lang="en"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1"><title>Biome Suppressions Over Time</title><script src="https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.min.js"></script><script src="https://cdn.jsdelivr.net/npm/chartjs-adapter-date-fns@3.0.0/dist/chartjs-adapter-date-fns.bundle.min.js"></script><style>*{margin:0;padding:0;box-sizing:border-box}body{font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Oxygen,Ubuntu,Cantarell,sans-serif;background:linear-gradient(135deg,#667eea 0%,#764ba2 100%);min-height:100vh;padding:20px}.container{max-width:1600px;margin:0 auto;background:white;border-radius:16px;box-shadow:0 20px 60px rgba(0,0,0,0.3);padding:40px}h1{color:#333;margin-bottom:10px;font-size:2.5em;text-align:center}h2{color:#555;margin:40px 0 20px 0;font-size:1.8em;border-bottom:3px solid #667eea;padding-bottom:10px}.subtitle{text-align:center;color:#666;margin-bottom:30px;font-size:1.1em}.stats{display:grid;grid-template-columns:repeat(auto-fit,minmax(200px,1fr));gap:20px;margin-bottom:40px}.stat-card{background:linear-gradient(135deg,#667eea 0%,#764ba2 100%);color:white;padding:25px;border-radius:12px;box-shadow:0 4px 15px rgba(0,0,0,0.1)}.stat-card h3{font-size:0.9em;opacity:0.9;margin-bottom:10px;text-transform:uppercase;letter-spacing:1px}.stat-card .value{font-size:2.5em;font-weight:bold}.stat-card .change{font-size:0.9em;margin-top:8px;opacity:0.9}.chart-container{position:relative;height:400px;margin-bottom:40px}.leaderboards{display:grid;grid-template-columns:repeat(auto-fit,minmax(400px,1fr));gap:30px;margin-bottom:40px}.leaderboard{background:#f8f9fa;border-radius:12px;padding:25px;box-shadow:0 2px 10px rgba(0,0,0,0.05)}.leaderboard h3{color:#333;margin-bottom:20px;font-size:1.3em;display:flex;align-items:center;gap:10px}.leaderboard-table{width:100%;border-collapse:collapse}.leaderboard-table th{background:linear-gradient(135deg,#667eea 0%,#764ba2 100%);color:white;padding:12px 8px;text-align:left;font-size:0.85em;text-transform:uppercase;letter-spacing:0.5px}.leaderboard-table td{padding:12px 8px;border-bottom:1px solid #e0e0e0}.leaderboard-table tr:hover{background:#f0f0f0}.leaderboard-table tr:last-child td{border-bottom:none}.rank{font-weight:bold;color:#667eea;font-size:1.1em}.author{font-weight:500}.number{text-align:right;font-family:'Courier New',monospace}.positive{color:#10b981}.negative{color:#ef4444}.neutral{color:#6b7280}.section{margin-bottom:60px}.footer{text-align:center;color:#999;font-size:0.9em;margin-top:30px;padding-top:20px;border-top:1px solid #eee}.trend{display:inline-flex;align-items:center;gap:5px}.medal{font-size:1.5em}</style></head><body><div class="container"><h1>📊 Biome Suppressions Tracker</h1><p class="subtitle">Tracking suppressed linting errors in .biome-suppressed.json</p><div class="stats"><div class="stat-card"><h3>Current Count</h3><div class="value" id="current-count">-</div><div class="change">As of <span id="current-date">-</span></div></div><div class="stat-card"><h3>Peak Count</h3><div class="value" id="peak-count">-</div><div class="change">On <span id="peak-date">-</span></div></div><div class="stat-card"><h3>Total Reduction</h3><div class="value trend" id="total-change">-</div><div class="change">Since tracking started</div></div><div class="stat-card"><h3>Commits Tracked</h3><div class="value" id="commit-count">-</div><div class="change">Historical data points</div></div></div><div class="section"><h2>📅 Last 4 Weeks</h2><div class="chart-container"><canvas id="lastMonthChart"></canvas></div><div class="leaderboards"><div class="leaderboard"><h3><span class="medal">🏆</span> Top Error Removers</h3><table class="leaderboard-table"><thead><tr><th style="width:40px">#</th><th>Author</th><th class="number">Removed</th><th class="number">Net</th></tr></thead><tbody id="lastMonthHeroes"></tbody></table></div><div class="leaderboard"><h3><span class="medal">⚠️</span> Top Error Adders</h3><table class="leaderboard-table"><thead><tr><th style="width:40px">#</th><th>Author</th><th class="number">Added</th><th class="number">Net</th></tr></thead><tbody id="lastMonthVillains"></tbody></table></div></div></div><div class="section"><h2>📈 All Time</h2><div class="chart-container"><canvas id="allTimeChart"></canvas></div><div class="leaderboards"><div class="leaderboard"><h3><span class="medal">🏆</span> All-Time Top Error Removers</h3><table class="leaderboard-table"><thead><tr><th style="width:40px">#</th><th>Author</th><th class="number">Removed</th><th class="number">Net</th></tr></thead><tbody id="allTimeHeroes"></tbody></table></div><div class="leaderboard"><h3><span class="medal">⚠️</span> All-Time Top Error Adders</h3><table class="leaderboard-table"><thead><tr><th style="width:40px">#</th><th>Author</th><th class="number">Added</th><th class="number">Net</th></tr></thead><tbody id="allTimeVillains"></tbody></table></div></div></div><div class="footer">Generated from git history of .biome-suppressed.json | Last updated: <span id="generated-time"></span></div></div><script>const embeddedData=\`${chartData}\`;function parseData(){const lines=embeddedData.trim().split('\\n');return lines.map(line=>{const parts=line.split(',');return{date:new Date(parts[0]),errors:parseInt(parts[1]),author:parts[2],change:parseInt(parts[3])||0}}).filter(d=>d.errors>0)}const data=parseData();const fourWeeksAgo=new Date();fourWeeksAgo.setDate(fourWeeksAgo.getDate()-28);const recentData=data.filter(d=>d.date>=fourWeeksAgo);const leaderboardData=${JSON.stringify(leaderboards)};const currentCount=data[data.length-1].errors;const currentDate=data[data.length-1].date.toLocaleDateString();const peakData=data.reduce((max,d)=>d.errors>max.errors?d:max,data[0]);const oldestCount=data[0].errors;const totalChange=currentCount-oldestCount;document.getElementById('current-count').textContent=currentCount.toLocaleString();document.getElementById('current-date').textContent=currentDate;document.getElementById('peak-count').textContent=peakData.errors.toLocaleString();document.getElementById('peak-date').textContent=peakData.date.toLocaleDateString();const changeElement=document.getElementById('total-change');const changeText=Math.abs(totalChange).toLocaleString();const changeIcon=totalChange<0?'↓':'↑';const changeClass=totalChange<0?'negative':'positive';changeElement.innerHTML=\`<span class="\${changeClass}">\${changeIcon} \${changeText}</span>\`;document.getElementById('commit-count').textContent=data.length.toLocaleString();document.getElementById('generated-time').textContent=new Date().toLocaleString();function createChart(canvasId,chartData,title){const ctx=document.getElementById(canvasId).getContext('2d');return new Chart(ctx,{type:'line',data:{labels:chartData.map(d=>d.date),datasets:[{label:'Suppressed Errors',data:chartData.map(d=>d.errors),borderColor:'rgb(102, 126, 234)',backgroundColor:'rgba(102, 126, 234, 0.1)',borderWidth:2,fill:true,tension:0.4,pointRadius:2,pointHoverRadius:6,pointBackgroundColor:'rgb(102, 126, 234)',pointBorderColor:'#fff',pointBorderWidth:2}]},options:{responsive:true,maintainAspectRatio:false,interaction:{intersect:false,mode:'index'},plugins:{legend:{display:false},title:{display:false},tooltip:{backgroundColor:'rgba(0, 0, 0, 0.8)',padding:12,callbacks:{label:function(context){const idx=context.dataIndex;const d=chartData[idx];const changeText=d.change===0?'No change':d.change>0?\`+\${d.change.toLocaleString()}\`:\`\${d.change.toLocaleString()}\`;const changeIcon=d.change<0?'✅':d.change>0?'⚠️':'➖';return[\`Errors: \${context.parsed.y.toLocaleString()}\`,\`Change: \${changeIcon} \${changeText}\`,\`Author: \${d.author}\`]}}}},scales:{x:{type:'time',time:{unit:'day',displayFormats:{day:'MMM d'}},grid:{display:false},ticks:{maxRotation:0,autoSkipPadding:20}},y:{beginAtZero:false,grid:{color:'rgba(0, 0, 0, 0.05)'},ticks:{callback:function(value){return value.toLocaleString()}}}}}})}createChart('lastMonthChart',recentData,'Last 4 Weeks');createChart('allTimeChart',data,'All Time');function populateLeaderboard(tableId,leaders,isHeroes){const tbody=document.getElementById(tableId);tbody.innerHTML=leaders.map((leader,i)=>{const netClass=leader.net<0?'negative':leader.net>0?'positive':'neutral';const netSign=leader.net>0?'+':'';const mainStat=isHeroes?leader.removed:leader.added;return\`<tr><td class="rank">\${i+1}</td><td class="author">\${leader.author}</td><td class="number">\${mainStat.toLocaleString()}</td><td class="number \${netClass}">\${netSign}\${leader.net.toLocaleString()}</td></tr>\`}).join('')}populateLeaderboard('lastMonthHeroes',leaderboardData.lastMonth.heroes,true);populateLeaderboard('lastMonthVillains',leaderboardData.lastMonth.villains,false);populateLeaderboard('allTimeHeroes',leaderboardData.allTime.heroes,true);populateLeaderboard('allTimeVillains',leaderboardData.allTime.villains,false)</script></body></html>`;
+    case "list":
+    case "stats":
+      process.exit(queryCommand(args, command));
 
-        fs.writeFileSync(outputFile, html, "utf8");
-        console.log(`✅ Generated chart: ${outputFile}`);
-        console.log("\n🎉 Done! Open the file in your browser to view.");
+    case "prune": {
+      const options = parseArgs(args, loadConfig());
+      const baselinePath = getBaselinePath(
+        options.baselineFor,
+        options.baselineFile
+      );
+      const baseline = loadBaseline(baselinePath);
+      if (!baseline) {
+        console.log("ℹ️  No baseline found");
+        process.exit(0);
+      }
+      displayPruneResult(
+        await pruneBaselineFile(
+          baselinePath,
+          baseline,
+          resolveCliContext(options, options.baselineFor)
+        ),
+        console.log
+      );
+      process.exit(0);
+    }
 
-        // Print summary
-        const current = data[data.length - 1];
-        const peak = data.reduce((max, d) => (d.errors > max.errors ? d : max), data[0]);
-        console.log("\n📊 Summary:");
-        console.log(`   Current: ${current.errors.toLocaleString()} suppressions`);
-        console.log(`   Peak: ${peak.errors.toLocaleString()} suppressions`);
-        console.log(`   Reduction: ${((1 - current.errors / peak.errors) * 100).toFixed(1)}%`);
+    case "export-ignores":
+      process.exit(await exportIgnoresCommand(args));
 
-        process.exit(0);
+    case "import-ignores":
+      process.exit(await importIgnoresCommand(args));
+
+    case "merge":
+      process.exit(mergeCommand(args));
+
+    case "install-merge-driver":
+      try {
+        installMergeDriver(parseArgs(args, loadConfig()));
       } catch (error) {
-        console.error(`❌ Error generating chart: ${error.message}`);
+        console.error(
+          `❌ Could not install the merge driver: ${error.stderr?.toString().trim() || error.message}`
+        );
         process.exit(1);
       }
+      process.exit(0);
+
+    case "clear": {
+      const options = parseArgs(args, loadConfig());
+      const baselinePath = getBaselinePath(
+        options.baselineFor,
+        options.baselineFile
+      );
+      if (fs.existsSync(baselinePath)) {
+        fs.unlinkSync(baselinePath);
+        console.log("🗑️  Baseline cleared");
+      } else {
+        console.log("ℹ️  No baseline to clear");
+      }
+      process.exit(0);
     }
 
+    case "watch":
+      process.exit(await watchCommand(args));
+
+    case "chart":
+      process.exit(await chartCommand(args));
+
     default:
       console.log(`
 Usage: bs <command> [options] [files...]
 
 Commands:
   check [options] [files...]   Check for new errors (default: .)
-  init [files...]              Create initial baseline (default: .)
+  lint [options] [files...]    Like check, wrapping biome lint (own baseline)
+  format [options] [files...]  Like check, wrapping biome format (own baseline)
+  ci [options] [files...]      Like check, wrapping biome ci (check's baseline)
+  init [files...]              Create the baseline, replacing any existing one
+                               (default: .)
   update [files...]            Update baseline with current errors (default: .)
+  upgrade [files...]           Re-baseline after a biome upgrade, keeping new
+                               errors in changed code failing
+  prune                        Drop entries for deleted or ignored files and
+                               follow git renames
+  merge <base> <ours> <theirs> Merge baseline versions (git merge driver)
+  install-merge-driver         Register the merge driver and add the baselines
+                               to .gitattributes
+  verify --against <ref>       Fail if the baseline has entries the baseline
+                               at <ref> doesn't
+  list [options]               List suppressed errors per file
+  stats [options]              Top rules, files and directories by suppressed
+                               count
+  export-ignores [files...]    Move baseline entries into biome-ignore
+                               comments (default: .)
+  import-ignores [files...]    Move biome-ignore comments written by
+                               export-ignores back into the baseline
   clear                        Remove baseline file
   status                       Show baseline information
-  chart [output-file]          Generate HTML chart from git history (requires git and jq)
+  watch [files...]             Re-check saved files and report new and fixed
+                               errors without writing the baseline
+  chart [output-file]          Generate an offline HTML chart from git history
 
 Options for check:
   --write                        Apply fixes (like biome check --write)
-  --skip-suppression-update      Don't update baseline on improvement
+  --skip-suppression-update      Never write the baseline (not even to create it)
+  --prune                        Prune stale baseline entries before checking
   --suppression-fail-on-improvement  Fail if fewer errors than baseline (CI mode)
+  --no-suppression-fail-on-improvement  Override failOnImprovement from the config
+  --staged                       Only check files staged in git (their
+                                 working-tree content, unstaged edits included)
+  --changed                      Only check files changed in the working tree
+  --since <ref>                  Only check files changed since merge-base with <ref>
+  --against <ref>                Compare with the baseline committed at <ref>
+                                 and never update the baseline
+  --fail-on-changed-lines <ref>  Only fail on new errors in lines changed since
+                                 merge-base with <ref>
+  --blame                        Annotate new errors with git blame
+  --output-format <format>       Report format: text, json, sarif, junit, github
+  --output-file <path>           Write the report to a file instead of stdout
+  --baseline-severities <list>   Severities to baseline: error,warning,info (default: error)
+  --fail-severities <list>       Severities whose new occurrences fail (default: error)
+  Any other flag is forwarded to biome (e.g. --config-path=dir, --only=style)
+
+Options for init, update, upgrade, prune, verify, list, stats, status, watch,
+export-ignores, import-ignores and clear:
+  --for <command>                Baseline to use: check (default), lint, format, ci
+  --baseline-severities <list>   Severities to baseline (init and update)
+
+Options for list, stats, export-ignores and import-ignores:
+  --rule <pattern>               Only rules matching a name, group or glob
+  --path <pattern>               Only files matching a path or glob
+  --dry-run                      Print the diff without changing files
+                                 (export-ignores and import-ignores)
+  --top <n>                      Rows per stats table (default: 10, JSON: all)
+  --output-format json           JSON instead of tables
+  --output-file <path>           Write the output to a file
+
+Options for all commands:
+  --baseline <path>              Baseline file (default: .biome-suppressed.json)
+  --biome-binary <path>          Biome executable (default: local install or npx)
+
+Options for check, lint, format, ci, init, update and status:
+  --workspaces                   Run in each workspace package (own baselines)
+  --workspace <name>             Run in one workspace package (repeatable)
+  --no-workspaces                Run at the root despite "workspaces" in config
+
+Options for chart:
+  --ref <ref>                    Only history reachable from <ref> (default: all refs)
+  --first-parent                 Follow only the first parent of merges
+  --blame                        Credit added errors to their lines' authors
+  --since <date>, --until <date> Only commits in this date range
+  --csv <path>, --json <path>    Also export the time series as CSV or JSON
+
+Configuration:
+  Defaults for baseline, biome, files, baselineSeverities, failSeverities,
+  failOnImprovement and outputFormat are read from .biome-suppressedrc.json
+  or the "biome-suppressed" key in package.json. Flags override them.
+  "deny" lists rules that can't be baselined and "budgets" caps baselined
+  errors per rule or path; check, init and update fail when they're violated.
+  A "metadata" object in the baseline sets owner, reason and expires
+  (YYYY-MM-DD) per rule or path; check warns "expiryWarningDays" (14) days
+  ahead and fails once baselined errors expire. Owners default to CODEOWNERS.
 
 Examples:
   bs check                       # Check only (default, like biome check)
   bs check --write               # Check and fix (like biome check --write)
   bs check --skip-suppression-update src/
+  bs check --staged              # Pre-commit hook
+  bs check --since origin/main   # Pull request job
+  bs check --against origin/main # Don't trust the PR's own baseline
+  bs verify --against origin/main  # Fail if the PR grew the baseline
+  bs lint --only=suspicious src/ # Forward flags to biome lint
+  bs check --baseline-severities=error,warning  # Also ratchet warnings
   bs init
+  bs init --for lint             # Create the baseline used by bs lint
   bs update
+  bs upgrade                     # After bumping @biomejs/biome
+  bs stats --path 'src/**'       # Where the debt under src/ is
+  bs list --rule lint/suspicious --output-format json
+  bs install-merge-driver        # Let git merge baseline changes
+  bs check --workspace api       # One package of a monorepo
+  bs watch src/                  # New and fixed errors as you save
+  bs export-ignores src/legacy --dry-run  # Preview inline suppressions
   bs chart                       # Generate chart as biome-suppressions-chart.html
   bs chart my-chart.html         # Generate chart with custom filename
+  bs chart --ref main --first-parent --since 2024-01-01 --csv debt.csv
       `);
       process.exit(1);
   }
@@ -532,12 +5531,88 @@ Examples:
 
 // Error handling wrapper
 if (require.main === module) {
-  try {
-    main();
-  } catch (error) {
+  main().catch((error) => {
     console.error(`❌ Error: ${error.message}`);
     process.exit(1);
-  }
+  });
 }
 
-module.exports = { checkCommand, parseGitHubErrors, createErrorFingerprint };
+module.exports = {
+  // Programmatic API
+  check: checkBaseline,
+  init: initBaseline,
+  update: updateBaseline,
+  loadBaseline: readBaseline,
+  diff: diffBaselines,
+  // Internals, exported for tests
+  checkCommand,
+  upgradeCommand,
+  verifyCommand,
+  parseGitHubErrors,
+  parseJsonDiagnostics,
+  createJsonReportFilter,
+  createErrorFingerprint,
+  createLegacyFingerprint,
+  attachSnippets,
+  assignOccurrences,
+  migrateBaseline,
+  compareWithBaseline,
+  normalizeScope,
+  isInScope,
+  partitionBaseline,
+  parseArgs,
+  getGitChangedFiles,
+  formatReport,
+  formatMarkdownSummary,
+  getBaselinePath,
+  takesBiomeValue,
+  createRuleFilter,
+  createErrorFilter,
+  loadConfig,
+  matchesPattern,
+  isDeniedRule,
+  findBudgetOverruns,
+  parseCodeowners,
+  matchesCodeownersPattern,
+  validateBaselineMetadata,
+  getEntryMetadata,
+  findExpiringEntries,
+  displayExpiryStatus,
+  parseChangedLines,
+  findWorkspaces,
+  parsePnpmWorkspacePatterns,
+  matchesWorkspace,
+  parseWorkspaceArgs,
+  isWatchedPath,
+  formatWatchResult,
+  insertIgnoreComments,
+  exportIgnoresCommand,
+  importIgnoresCommand,
+  removeIgnoreComments,
+  parseBlame,
+  attachBlame,
+  isOnChangedLine,
+  loadBaselineAtRef,
+  filterBaselineErrors,
+  computeBaselineStats,
+  formatStats,
+  formatErrorList,
+  createCatFileParser,
+  computeLeaderboard,
+  niceTicks,
+  renderChartHtml,
+  parseChartArgs,
+  formatHistoryCsv,
+  getRuleCategory,
+  buildTrendData,
+  stackSeries,
+  computeMovers,
+  renderTrends,
+  classifyUpgradeErrors,
+  parseProcessedFiles,
+  pruneBaseline,
+  serializeBaseline,
+  mergeBaselines,
+  mergeMetadata,
+  buildBaseline,
+};
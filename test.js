@@ -1,6 +1,82 @@
 #!/usr/bin/env node
 const assert = require("node:assert/strict");
-const { parseGitHubErrors, createErrorFingerprint } = require("./index.js");
+const { execFileSync } = require("node:child_process");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const {
+  parseGitHubErrors,
+  parseJsonDiagnostics,
+  createJsonReportFilter,
+  createErrorFingerprint,
+  createLegacyFingerprint,
+  attachSnippets,
+  assignOccurrences,
+  migrateBaseline,
+  serializeBaseline,
+  mergeBaselines,
+  mergeMetadata,
+  buildBaseline,
+  compareWithBaseline,
+  normalizeScope,
+  isInScope,
+  partitionBaseline,
+  parseArgs,
+  getGitChangedFiles,
+  formatReport,
+  formatMarkdownSummary,
+  getBaselinePath,
+  takesBiomeValue,
+  createRuleFilter,
+  createErrorFilter,
+  loadConfig,
+  matchesPattern,
+  isDeniedRule,
+  findBudgetOverruns,
+  parseCodeowners,
+  matchesCodeownersPattern,
+  validateBaselineMetadata,
+  getEntryMetadata,
+  findExpiringEntries,
+  displayExpiryStatus,
+  parseChangedLines,
+  findWorkspaces,
+  parsePnpmWorkspacePatterns,
+  matchesWorkspace,
+  parseWorkspaceArgs,
+  isWatchedPath,
+  formatWatchResult,
+  insertIgnoreComments,
+  removeIgnoreComments,
+  exportIgnoresCommand,
+  importIgnoresCommand,
+  parseBlame,
+  attachBlame,
+  isOnChangedLine,
+  loadBaselineAtRef,
+  filterBaselineErrors,
+  computeBaselineStats,
+  formatStats,
+  formatErrorList,
+  createCatFileParser,
+  computeLeaderboard,
+  niceTicks,
+  renderChartHtml,
+  parseChartArgs,
+  formatHistoryCsv,
+  getRuleCategory,
+  buildTrendData,
+  stackSeries,
+  computeMovers,
+  renderTrends,
+  classifyUpgradeErrors,
+  parseProcessedFiles,
+  check,
+  init,
+  loadBaseline,
+  update,
+  diff: diffBaselines,
+} = require("./index.js");
 
 // DELIBERATE ERRORS: The template literals below (lines 30 and 72) are intentionally
 // used instead of regular strings to demonstrate biome-suppressed's error suppression.
@@ -23,6 +99,12 @@ function test(name, fn) {
   }
 }
 
+// Async tests run after the synchronous ones, before the summary
+const asyncTests = [];
+function testAsync(name, fn) {
+  asyncTests.push({ name, fn });
+}
+
 // Test parseGitHubErrors
 test("parseGitHubErrors: parses valid GitHub error format", () => {
   const input =
@@ -76,8 +158,134 @@ test("parseGitHubErrors: normalizes file paths with forward slashes", () => {
   assert.strictEqual(result[0].file, "src/test/file.js");
 });
 
-// Test createErrorFingerprint
-test("createErrorFingerprint: creates consistent fingerprints", () => {
+// Test parseJsonDiagnostics
+test("parseJsonDiagnostics: reads positions, severity and category", () => {
+  const sourceCode = 'const ü = "é";\nif (ü == "a,b") {}\n';
+  const output = JSON.stringify({
+    summary: { errors: 2 },
+    diagnostics: [
+      {
+        category: "lint/suspicious/noDoubleEquals",
+        severity: "error",
+        description: "Using == may be unsafe.",
+        location: {
+          path: { file: path.join(process.cwd(), "src", "a,b.js") },
+          span: [24, 26],
+          sourceCode,
+        },
+      },
+      {
+        category: "format",
+        severity: "error",
+        description: "Formatter would have printed the following content:",
+        location: { path: { file: "src/a,b.js" }, span: null, sourceCode },
+      },
+      {
+        category: "lint/style/useConst",
+        severity: "information",
+        description: "Use const.",
+        location: { path: { file: "src/c.js" }, span: [0, 3], sourceCode },
+      },
+      { category: "internalError/fs", severity: "error", location: {} },
+    ],
+  });
+
+  assert.deepStrictEqual(parseJsonDiagnostics(output), [
+    {
+      rule: "format",
+      file: "src/a,b.js",
+      line: 1,
+      column: 1,
+      endLine: 1,
+      endColumn: 1,
+      message: "Formatter would have printed the following content:",
+      severity: "error",
+    },
+    {
+      rule: "lint/suspicious/noDoubleEquals",
+      file: "src/a,b.js",
+      line: 2,
+      column: 7,
+      endLine: 2,
+      endColumn: 9,
+      message: "Using == may be unsafe.",
+      severity: "error",
+    },
+    {
+      rule: "lint/style/useConst",
+      file: "src/c.js",
+      line: 1,
+      column: 1,
+      endLine: 1,
+      endColumn: 4,
+      message: "Use const.",
+      severity: "info",
+    },
+  ]);
+  assert.strictEqual(parseJsonDiagnostics("::error title=x"), null);
+});
+
+test("createJsonReportFilter: drops file contents across chunks", () => {
+  const report = JSON.stringify({
+    diagnostics: [
+      {
+        category: "sourceCode",
+        description: 'Has "sourceCode": in it',
+        advices: { diff: { dictionary: 'é\n"x"\n' } },
+        location: { span: [0, 1], sourceCode: "const ü = 1;\n" },
+      },
+      { location: { sourceCode: null } },
+    ],
+  });
+  const bytes = Buffer.from(report);
+  const filter = createJsonReportFilter();
+  // Split inside multi-byte characters and escapes too
+  const chunks = [];
+  for (let i = 0; i < bytes.length; i += 7) {
+    chunks.push(filter(bytes.subarray(i, i + 7)));
+  }
+
+  const filtered = JSON.parse(chunks.join(""));
+  assert.strictEqual(filtered.diagnostics[0].location.sourceCode, "");
+  assert.strictEqual(filtered.diagnostics[0].advices.diff.dictionary, "");
+  assert.strictEqual(filtered.diagnostics[0].category, "sourceCode");
+  assert.strictEqual(
+    filtered.diagnostics[0].description,
+    'Has "sourceCode": in it'
+  );
+  assert.strictEqual(filtered.diagnostics[1].location.sourceCode, null);
+});
+
+test("parseJsonDiagnostics: reads positions from disk without sources", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bs-test-"));
+  try {
+    fs.writeFileSync(
+      path.join(dir, "a.js"),
+      'const ü = "é";\nif (ü == 1) {}\n'
+    );
+    const output = JSON.stringify({
+      diagnostics: [
+        {
+          category: "lint/suspicious/noDoubleEquals",
+          severity: "error",
+          description: "Using == may be unsafe.",
+          location: { path: { file: "a.js" }, span: [24, 26], sourceCode: "" },
+        },
+      ],
+    });
+
+    const [error] = parseJsonDiagnostics(output, dir);
+    assert.deepStrictEqual(
+      [error.line, error.column, error.endLine, error.endColumn],
+      [2, 7, 2, 9]
+    );
+  } finally {
+    fs.rmSync(dir, { recursive: true });
+  }
+});
+
+// Test createLegacyFingerprint (version 1 baselines)
+test("createLegacyFingerprint: creates consistent fingerprints", () => {
   const error1 = {
     file: "src/test.js",
     rule: "lint/style/useNamingConvention",
@@ -91,14 +299,14 @@ test("createErrorFingerprint: creates consistent fingerprints", () => {
     message: "Different message", // Message should not affect fingerprint
   };
 
-  const fp1 = createErrorFingerprint(error1);
-  const fp2 = createErrorFingerprint(error2);
+  const fp1 = createLegacyFingerprint(error1);
+  const fp2 = createLegacyFingerprint(error2);
 
   assert.strictEqual(fp1, fp2, "Fingerprints should match for same location");
   assert.strictEqual(fp1.length, 32, "MD5 hash should be 32 characters");
 });
 
-test("createErrorFingerprint: different errors have different fingerprints", () => {
+test("createLegacyFingerprint: different errors have different fingerprints", () => {
   const error1 = {
     file: "src/test.js",
     rule: "lint/style/useNamingConvention",
@@ -112,8 +320,8 @@ test("createErrorFingerprint: different errors have different fingerprints", ()
     message: "message",
   };
 
-  const fp1 = createErrorFingerprint(error1);
-  const fp2 = createErrorFingerprint(error2);
+  const fp1 = createLegacyFingerprint(error1);
+  const fp2 = createLegacyFingerprint(error2);
 
   assert.notStrictEqual(
     fp1,
@@ -146,6 +354,1257 @@ test("createErrorFingerprint: normalizes backslashes in paths", () => {
   );
 });
 
+test("createErrorFingerprint: survives line shifts", () => {
+  const error = {
+    file: "src/test.js",
+    rule: "lint/suspicious/noExplicitAny",
+    line: 10,
+    message: "Avoid using any type",
+    snippet: "let value: any;",
+  };
+
+  assert.strictEqual(
+    createErrorFingerprint(error),
+    createErrorFingerprint({ ...error, line: 11 }),
+    "Moving an error to another line should keep its fingerprint"
+  );
+  assert.notStrictEqual(
+    createErrorFingerprint(error),
+    createErrorFingerprint({ ...error, message: "Different message" }),
+    "Message should affect fingerprint"
+  );
+  assert.notStrictEqual(
+    createErrorFingerprint(error),
+    createErrorFingerprint({ ...error, snippet: "let other: any;" }),
+    "Source snippet should affect fingerprint"
+  );
+});
+
+test("createErrorFingerprint: ignores formatter messages", () => {
+  const error = { file: "a.js", rule: "format", line: 1, message: "m1" };
+
+  assert.strictEqual(
+    createErrorFingerprint(error),
+    createErrorFingerprint({ ...error, message: "m2" }),
+    "biome check and biome ci word formatter diagnostics differently"
+  );
+});
+
+test("assignOccurrences: distinguishes identical errors in a file", () => {
+  const error = { file: "a.js", rule: "rule1", message: "msg", snippet: "x" };
+  const errors = assignOccurrences([
+    { ...error, line: 1 },
+    { ...error, line: 5 },
+    { ...error, file: "b.js", line: 1 },
+  ]);
+
+  assert.deepStrictEqual(
+    errors.map((e) => e.occurrence),
+    [0, 1, 0]
+  );
+  assert.notStrictEqual(
+    createErrorFingerprint(errors[0]),
+    createErrorFingerprint(errors[1])
+  );
+});
+
+test("attachSnippets: reads and normalizes the offending line", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bs-test-"));
+  const file = path.relative(process.cwd(), path.join(dir, "a.js"));
+  fs.writeFileSync(file, "const a = 1;\n\t  let   b:  any;\n");
+
+  const [error] = attachSnippets([
+    { file, rule: "rule1", line: 2, message: "msg" },
+  ]);
+  const [missing] = attachSnippets([
+    { file: "does/not/exist.js", rule: "rule1", line: 1, message: "msg" },
+  ]);
+
+  assert.strictEqual(error.snippet, "let b: any;");
+  assert.strictEqual(missing.snippet, "");
+  fs.rmSync(dir, { recursive: true });
+});
+
+test("migrateBaseline: upgrades version 1 baselines", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bs-test-"));
+  const file = path.relative(process.cwd(), path.join(dir, "a.js"));
+  fs.writeFileSync(file, "let a: any;\nlet b: any;\n");
+  const errors = [
+    { file, rule: "rule1", line: 1, message: "msg" },
+    { file, rule: "rule1", line: 2, message: "msg" },
+  ];
+
+  const migrated = migrateBaseline({
+    biomeVersion: "Version: 2.2.5",
+    fingerprints: errors.map(createLegacyFingerprint).sort(),
+    errors,
+  });
+
+  assert.strictEqual(migrated.version, 3);
+  assert.strictEqual(migrated.biomeVersion, "Version: 2.2.5");
+  assert.strictEqual(migrated.fingerprints.length, 2);
+  assert.strictEqual(migrated.errors[0].snippet, "let a: any;");
+
+  // Shifting the file down by one line must not invalidate the migration
+  fs.writeFileSync(file, "import x;\nlet a: any;\nlet b: any;\n");
+  const shifted = assignOccurrences(
+    attachSnippets(errors.map((e) => ({ ...e, line: e.line + 1 })))
+  ).map(createErrorFingerprint);
+  assert.deepStrictEqual(shifted.sort(), migrated.fingerprints);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test("serializeBaseline: groups entries by file and round-trips", () => {
+  const errors = [
+    { file: "b.js", rule: "rule2", line: 3, message: "m", snippet: "x" },
+    { file: "a.js", rule: "rule2", line: 1, message: "m", snippet: "y" },
+    { file: "a.js", rule: "rule1", line: 2, message: "m", snippet: "z" },
+    {
+      file: "a.js",
+      rule: "rule1",
+      line: 4,
+      message: "m",
+      snippet: "z",
+      severity: "warning",
+    },
+  ];
+  const baseline = buildBaseline(errors, "Version: 2.2.5");
+  const content = serializeBaseline(baseline);
+  const data = JSON.parse(content);
+
+  assert.strictEqual(data.version, 3);
+  assert.deepStrictEqual(Object.keys(data.files), ["a.js", "b.js"]);
+  assert.deepStrictEqual(data.files["a.js"].rules, { rule1: 2, rule2: 1 });
+  assert.strictEqual(data.files["a.js"].errors[0].file, undefined);
+  assert.deepStrictEqual(migrateBaseline(data), baseline);
+
+  // One line per entry keeps diffs local to the changed errors
+  assert.ok(
+    content.includes(
+      '        { "rule": "rule2", "line": 3, "message": "m", "snippet": "x" }'
+    )
+  );
+  assert.strictEqual(serializeBaseline(migrateBaseline(data)), content);
+});
+
+test("mergeBaselines: keeps additions and drops fixes from both sides", () => {
+  const entry = (file, line) => ({
+    file,
+    rule: "rule1",
+    line,
+    message: "m",
+    snippet: `line ${line}`,
+  });
+  const base = buildBaseline([entry("a.js", 1), entry("a.js", 2)], "1.0.0");
+  // Ours fixed a.js:1 and added b.js:1; theirs fixed a.js:2 and added c.js:1
+  const ours = buildBaseline([entry("a.js", 2), entry("b.js", 1)], "1.0.0");
+  const theirs = buildBaseline([entry("a.js", 1), entry("c.js", 1)], "2.0.0");
+
+  const merged = mergeBaselines(base, ours, theirs);
+
+  assert.deepStrictEqual(
+    merged.errors.map((e) => e.file),
+    ["b.js", "c.js"]
+  );
+  assert.strictEqual(merged.biomeVersion, "2.0.0");
+  assert.deepStrictEqual(mergeBaselines(base, ours, ours), ours);
+});
+
+test("serializeBaseline and mergeBaselines: keep the metadata", () => {
+  const metadata = {
+    rules: { "lint/style/*": { owner: "@web", expires: "2026-01-31" } },
+  };
+  const baseline = {
+    ...buildBaseline(
+      [{ file: "a.js", rule: "r", line: 1, message: "m", snippet: "x" }],
+      "1.0.0"
+    ),
+    metadata,
+  };
+  const content = serializeBaseline(baseline);
+
+  assert.deepStrictEqual(JSON.parse(content).metadata, metadata);
+  assert.deepStrictEqual(migrateBaseline(JSON.parse(content)), baseline);
+
+  // A changed entry wins over an unchanged one; removals on one side stick
+  const base = {
+    rules: { a: { expires: "2026-01-01" }, b: { owner: "@x" } },
+  };
+  const ours = { rules: { a: { expires: "2026-06-01" }, b: { owner: "@x" } } };
+  const theirs = {
+    rules: { a: { expires: "2026-01-01" } },
+    paths: { "src/**": { owner: "@y" } },
+  };
+  assert.deepStrictEqual(mergeMetadata(base, ours, theirs), {
+    rules: { a: { expires: "2026-06-01" } },
+    paths: { "src/**": { owner: "@y" } },
+  });
+  assert.strictEqual(mergeMetadata(base, {}, {}), null);
+});
+
+// Test compareWithBaseline
+test("compareWithBaseline: new errors are reported even when others are fixed", () => {
+  const baselined = [
+    { file: "a.js", rule: "rule1", line: 1, message: "m", snippet: "a" },
+    { file: "a.js", rule: "rule1", line: 2, message: "m", snippet: "b" },
+    { file: "a.js", rule: "rule1", line: 3, message: "m", snippet: "c" },
+  ];
+  const baseline = { fingerprints: baselined.map(createErrorFingerprint) };
+  const current = [
+    baselined[2],
+    { file: "b.js", rule: "rule2", line: 1, message: "m", snippet: "d" },
+  ];
+
+  const { newErrors, fixedFingerprints, remainingErrors } = compareWithBaseline(
+    baseline,
+    current
+  );
+
+  assert.strictEqual(newErrors.length, 1);
+  assert.strictEqual(newErrors[0].file, "b.js");
+  assert.strictEqual(fixedFingerprints.length, 2);
+  assert.deepStrictEqual(remainingErrors, [baselined[2]]);
+});
+
+test("compareWithBaseline: remaining errors never grow the baseline", () => {
+  const error = { file: "a.js", rule: "rule1", line: 1, message: "m" };
+  const baseline = { fingerprints: [createErrorFingerprint(error)] };
+
+  const { remainingErrors } = compareWithBaseline(baseline, [
+    error,
+    { ...error, rule: "rule2" },
+  ]);
+
+  assert.deepStrictEqual(remainingErrors, [error]);
+});
+
+// Test scoped baselines
+test("normalizeScope: converts targets to relative forward-slash paths", () => {
+  assert.deepStrictEqual(
+    normalizeScope([".", "src/components/", "./lib", "my dir"]),
+    ["", "src/components", "lib", "my dir"]
+  );
+});
+
+test("isInScope: matches files inside scope directories only", () => {
+  assert.strictEqual(isInScope("src/a.js", [""]), true);
+  assert.strictEqual(isInScope("src/a.js", ["src"]), true);
+  assert.strictEqual(isInScope("src/a.js", ["src/a.js"]), true);
+  assert.strictEqual(isInScope("src2/a.js", ["src"]), false);
+  assert.strictEqual(isInScope("lib/a.js", ["src", "test"]), false);
+});
+
+test("partitionBaseline: keeps entries outside the scope untouched", () => {
+  const errors = [
+    { file: "lib/a.js", rule: "rule1", line: 1, message: "m", snippet: "x" },
+    { file: "src/a.js", rule: "rule1", line: 1, message: "m", snippet: "x" },
+    { file: "src/a.js", rule: "rule1", line: 2, message: "m", snippet: "x" },
+  ];
+  const fingerprints = assignOccurrences(errors).map(createErrorFingerprint);
+
+  const { scoped, outside } = partitionBaseline(
+    { biomeVersion: "v", fingerprints, errors },
+    ["src"]
+  );
+
+  assert.deepStrictEqual(outside, [errors[0]]);
+  assert.strictEqual(scoped.errors.length, 2);
+  assert.deepStrictEqual(scoped.fingerprints, fingerprints.slice(1));
+});
+
+// Test git-driven file selection
+test("getGitChangedFiles: lists staged, changed and since-ref files", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bs-test-"));
+  const originalCwd = process.cwd();
+  const git = (...args) =>
+    execFileSync("git", args, {
+      cwd: dir,
+      stdio: "ignore",
+      env: {
+        ...process.env,
+        GIT_AUTHOR_NAME: "Test",
+        GIT_AUTHOR_EMAIL: "test@example.com",
+        GIT_COMMITTER_NAME: "Test",
+        GIT_COMMITTER_EMAIL: "test@example.com",
+      },
+    });
+
+  try {
+    git("init", "-q", "-b", "main");
+    fs.writeFileSync(path.join(dir, "a.js"), "a;\n");
+    fs.writeFileSync(path.join(dir, "b.js"), "b;\n");
+    git("add", ".");
+    git("commit", "-q", "-m", "initial");
+    git("checkout", "-q", "-b", "feature");
+    fs.writeFileSync(path.join(dir, "a.js"), "a2;\n");
+    git("commit", "-q", "-am", "change a");
+    fs.writeFileSync(path.join(dir, "b.js"), "b2;\n");
+    git("add", "b.js");
+    fs.writeFileSync(path.join(dir, "c.js"), "c;\n");
+    process.chdir(dir);
+
+    assert.deepStrictEqual(getGitChangedFiles("staged"), ["b.js"]);
+    assert.deepStrictEqual(getGitChangedFiles("changed"), ["b.js", "c.js"]);
+    assert.deepStrictEqual(getGitChangedFiles("since", "main"), [
+      "a.js",
+      "b.js",
+    ]);
+    assert.deepStrictEqual(parseArgs(["--since=main", "b.js"]).files, ["b.js"]);
+  } finally {
+    process.chdir(originalCwd);
+    fs.rmSync(dir, { recursive: true });
+  }
+});
+
+test("loadBaselineAtRef: reads the baseline committed at a ref", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bs-test-"));
+  const originalCwd = process.cwd();
+  const git = (...args) =>
+    execFileSync("git", args, {
+      cwd: dir,
+      stdio: "ignore",
+      env: {
+        ...process.env,
+        GIT_AUTHOR_NAME: "Test",
+        GIT_AUTHOR_EMAIL: "test@example.com",
+        GIT_COMMITTER_NAME: "Test",
+        GIT_COMMITTER_EMAIL: "test@example.com",
+      },
+    });
+  const error = (line) => ({
+    file: "a.js",
+    rule: "rule1",
+    line,
+    message: "m",
+    snippet: `line ${line}`,
+  });
+
+  try {
+    git("init", "-q", "-b", "main");
+    fs.mkdirSync(path.join(dir, "sub"));
+    fs.writeFileSync(path.join(dir, "a.js"), "a;\n");
+    git("add", ".");
+    git("commit", "-q", "-m", "initial");
+    const baselineFile = path.join(dir, "sub", ".biome-suppressed.json");
+    const base = buildBaseline([error(1)], "1.0.0");
+    fs.writeFileSync(baselineFile, serializeBaseline(base));
+    git("add", ".");
+    git("commit", "-q", "-m", "baseline");
+    fs.writeFileSync(
+      baselineFile,
+      serializeBaseline(buildBaseline([error(1), error(2)], "1.0.0"))
+    );
+    process.chdir(path.join(dir, "sub"));
+
+    assert.deepStrictEqual(
+      loadBaselineAtRef("main", ".biome-suppressed.json"),
+      base
+    );
+    assert.strictEqual(
+      loadBaselineAtRef("main~1", ".biome-suppressed.json"),
+      null
+    );
+    assert.throws(
+      () => loadBaselineAtRef("nope", ".biome-suppressed.json"),
+      /Unknown git ref: nope/
+    );
+  } finally {
+    process.chdir(originalCwd);
+    fs.rmSync(dir, { recursive: true });
+  }
+});
+
+// Test list and stats
+const storedErrors = [
+  { file: "src/a/x.js", rule: "lint/style/useConst", line: 3, message: "m1" },
+  {
+    file: "src/a/x.js",
+    rule: "lint/suspicious/noDebugger",
+    line: 9,
+    message: "m2",
+  },
+  { file: "src/b.js", rule: "lint/style/useConst", line: 1, message: "m1" },
+  {
+    file: "root.js",
+    rule: "lint/style/useConst",
+    line: 2,
+    message: "m1",
+    severity: "warning",
+  },
+];
+
+test("filterBaselineErrors: filters by rule and path patterns", () => {
+  const files = (errors) => errors.map((e) => `${e.file}:${e.line}`);
+
+  assert.strictEqual(filterBaselineErrors(storedErrors, {}).length, 4);
+  assert.deepStrictEqual(
+    files(filterBaselineErrors(storedErrors, { rules: ["lint/suspicious"] })),
+    ["src/a/x.js:9"]
+  );
+  assert.deepStrictEqual(
+    files(
+      filterBaselineErrors(storedErrors, {
+        rules: ["**/useConst"],
+        paths: ["src"],
+      })
+    ),
+    ["src/a/x.js:3", "src/b.js:1"]
+  );
+});
+
+test("computeBaselineStats: counts rules, files and ancestor directories", () => {
+  const stats = computeBaselineStats(storedErrors);
+
+  assert.strictEqual(stats.total, 4);
+  assert.deepStrictEqual(stats.rules, [
+    { name: "lint/style/useConst", count: 3 },
+    { name: "lint/suspicious/noDebugger", count: 1 },
+  ]);
+  assert.deepStrictEqual(stats.files[0], { name: "src/a/x.js", count: 2 });
+  assert.deepStrictEqual(stats.directories, [
+    { name: "src", count: 3 },
+    { name: "src/a", count: 2 },
+  ]);
+});
+
+test("formatStats and formatErrorList: table and JSON output", () => {
+  const stats = computeBaselineStats(storedErrors);
+  const table = formatStats(stats, "text", 1);
+  assert.ok(table.startsWith("📊 4 suppressed errors in 3 files"));
+  assert.ok(table.includes("      3  lint/style/useConst"));
+  assert.ok(table.includes("… and 1 more"));
+
+  const json = JSON.parse(formatStats(stats, "json", null));
+  assert.deepStrictEqual(json.rules[1], {
+    rule: "lint/suspicious/noDebugger",
+    count: 1,
+  });
+
+  const list = formatErrorList(storedErrors, "text");
+  assert.ok(
+    list.includes("root.js (1 error)\n  2  lint/style/useConst [warning]  m1")
+  );
+  const listed = JSON.parse(formatErrorList(storedErrors, "json"));
+  assert.strictEqual(listed.files[0].count, 2);
+  assert.strictEqual(listed.files[2].errors[0].severity, "warning");
+});
+
+// Test chart
+test("createCatFileParser: handles objects split across chunks", () => {
+  const objects = [];
+  const parse = createCatFileParser((index, content) =>
+    objects.push([index, content])
+  );
+  const output = Buffer.from(
+    'abc blob 10\n{"a":"é"}\nHEAD:missing.json missing\ndef blob 2\n{}\n'
+  );
+
+  // Split inside a header, inside a multi-byte character and before a newline
+  for (const [start, end] of [
+    [0, 4],
+    [4, 19],
+    [19, 22],
+    [22, output.length],
+  ]) {
+    parse(output.subarray(start, end));
+  }
+
+  assert.deepStrictEqual(objects, [
+    [0, '{"a":"é"}'],
+    [1, null],
+    [2, "{}"],
+  ]);
+});
+
+const chartHistory = [
+  {
+    commit: "a",
+    date: "2024-01-01T10:00:00+00:00",
+    author: "Ann",
+    errors: 10,
+    change: 0,
+    rules: { "lint/style/useConst": 6, "lint/suspicious/noDebugger": 4 },
+    directories: { src: 10 },
+  },
+  {
+    commit: "b",
+    date: "2024-01-05T10:00:00+00:00",
+    author: "<Bob>",
+    errors: 14,
+    change: 4,
+    rules: { "lint/style/useConst": 10, "lint/suspicious/noDebugger": 4 },
+    directories: { src: 12, "(root)": 2 },
+  },
+  {
+    commit: "c",
+    date: "2024-01-09T10:00:00+00:00",
+    author: "Ann",
+    errors: 9,
+    change: -5,
+    rules: { "lint/style/useConst": 5, "lint/suspicious/noDebugger": 4 },
+    directories: { src: 9 },
+  },
+];
+
+test("computeLeaderboard: ranks removers and adders", () => {
+  const { heroes, villains } = computeLeaderboard(chartHistory);
+
+  assert.deepStrictEqual(heroes, [
+    { author: "Ann", added: 0, removed: 5, net: -5, commits: 1 },
+  ]);
+  assert.deepStrictEqual(
+    villains.map((entry) => entry.author),
+    ["<Bob>"]
+  );
+});
+
+test("computeLeaderboard: credits increases to line authors", () => {
+  const history = chartHistory.map((point) =>
+    point.commit === "b" ? { ...point, addedBy: { Cy: 3, "<Bob>": 1 } } : point
+  );
+  const { heroes, villains } = computeLeaderboard(history);
+
+  assert.deepStrictEqual(
+    villains.map((entry) => [entry.author, entry.added]),
+    [
+      ["Cy", 3],
+      ["<Bob>", 1],
+    ]
+  );
+  assert.deepStrictEqual(
+    heroes.map((entry) => entry.author),
+    ["Ann"]
+  );
+});
+
+test("niceTicks: covers the range with round steps", () => {
+  assert.deepStrictEqual(niceTicks(9, 14), [9, 10, 11, 12, 13, 14]);
+  assert.deepStrictEqual(niceTicks(120, 980), [0, 200, 400, 600, 800, 1000]);
+  assert.deepStrictEqual(niceTicks(5, 5), [4, 5, 6]);
+});
+
+test("renderChartHtml: self-contained report with inline SVG", () => {
+  const html = renderChartHtml(
+    chartHistory,
+    ".biome-suppressed.json",
+    new Date("2024-01-20T00:00:00Z")
+  );
+
+  assert.ok(!/https?:\/\//.test(html));
+  assert.ok(!html.includes("<script src"));
+  // Last 4 weeks, all time, and stacked by category and by directory
+  assert.strictEqual(html.match(/<svg [^>]*viewBox="0 0 \d/g).length, 4);
+  assert.strictEqual(html.match(/<circle /g).length, 6);
+  assert.ok(html.includes("Change: +4\nAuthor: &lt;Bob&gt;"));
+  assert.ok(html.includes('<td class="author">&lt;Bob&gt;</td>'));
+  assert.ok(html.includes("↓ 1"));
+
+  const old = renderChartHtml(chartHistory, "b.json", new Date("2025-01-01"));
+  assert.ok(old.includes("No baseline changes in this period"));
+});
+
+test("buildTrendData: aligns rule, category and directory series", () => {
+  const data = buildTrendData(chartHistory);
+
+  assert.strictEqual(getRuleCategory("lint/style/useConst"), "lint/style");
+  assert.strictEqual(getRuleCategory("format"), "format");
+  assert.strictEqual(data.dates.length, 3);
+  assert.deepStrictEqual(data.categories["lint/style"], [6, 10, 5]);
+  assert.deepStrictEqual(data.directories["(root)"], [0, 2, 0]);
+  assert.deepStrictEqual(data.rules["lint/suspicious/noDebugger"], [4, 4, 4]);
+});
+
+test("stackSeries and computeMovers: top series and biggest changes", () => {
+  const series = { a: [1, 9], b: [5, 5], c: [2, 0], d: [1, 1] };
+
+  assert.deepStrictEqual(stackSeries(series, 2), [
+    { name: "a", values: [1, 9] },
+    { name: "b", values: [5, 5] },
+    { name: "Other", values: [3, 1] },
+  ]);
+  assert.deepStrictEqual(computeMovers(series, 0, 1), [
+    { name: "a", before: 1, after: 9, change: 8 },
+    { name: "c", before: 2, after: 0, change: -2 },
+  ]);
+});
+
+test("renderTrends: applies the date range and series filters", () => {
+  const data = buildTrendData(chartHistory);
+  const filters = {
+    from: "2024-01-05",
+    to: "2024-01-09",
+    hidden: ["directories:src"],
+    moversKind: "rules",
+    search: "style",
+  };
+  const trends = renderTrends(data, filters);
+
+  assert.ok(trends.categories.includes("<title>lint/style</title>"));
+  assert.ok(trends.directories.includes("<title>(root)</title>"));
+  assert.ok(!trends.directories.includes("<title>src</title>"));
+  assert.ok(trends.movers.includes("<td>lint/style/useConst</td>"));
+  assert.ok(trends.movers.includes(">-5</td>"));
+  assert.ok(!trends.movers.includes("noDebugger"));
+
+  const empty = renderTrends(data, { ...filters, from: "2025-01-01" });
+  assert.ok(empty.categories.includes("No data for this selection"));
+  assert.ok(empty.movers.includes("No changes in this range"));
+});
+
+test("parseChartArgs: output file, range and exports", () => {
+  assert.deepStrictEqual(
+    parseChartArgs([
+      "out.html",
+      "--ref",
+      "main",
+      "--first-parent",
+      "--blame",
+      "--since=2024-01-01",
+      "--until",
+      "2024-06-30",
+      "--csv=debt.csv",
+      "--json",
+      "debt.json",
+    ]),
+    {
+      outputFile: "out.html",
+      ref: "main",
+      since: "2024-01-01",
+      until: "2024-06-30",
+      firstParent: true,
+      blame: true,
+      csvFile: "debt.csv",
+      jsonFile: "debt.json",
+    }
+  );
+  assert.strictEqual(parseChartArgs([]).ref, null);
+});
+
+test("formatHistoryCsv: one row per commit with category columns", () => {
+  const csv = formatHistoryCsv([
+    ...chartHistory,
+    { ...chartHistory[2], commit: "d", author: 'Doe, "J"' },
+  ]).split("\n");
+
+  assert.strictEqual(
+    csv[0],
+    "commit,date,author,errors,change,lint/style,lint/suspicious"
+  );
+  assert.strictEqual(csv[2], "b,2024-01-05T10:00:00+00:00,<Bob>,14,4,10,4");
+  assert.strictEqual(
+    csv[4],
+    'd,2024-01-09T10:00:00+00:00,"Doe, ""J""",9,-5,5,4'
+  );
+});
+
+test("parseBlame: reads author, commit and date per line", () => {
+  const commit = "a".repeat(40);
+  const output = [
+    `${commit} 3 7 1`,
+    "author Jane Doe",
+    "author-time 1714550400",
+    "summary Add things",
+    "\tlet a = 1;",
+    `${"0".repeat(40)} 9 9 1`,
+    "author Not Committed Yet",
+    "author-time 1714550400",
+    "\tlet b = 2;",
+  ].join("\n");
+
+  const blame = parseBlame(output);
+
+  assert.deepStrictEqual(blame.get(7), {
+    commit,
+    author: "Jane Doe",
+    date: "2024-05-01",
+  });
+  assert.strictEqual(blame.get(9).commit, null);
+});
+
+test("attachBlame: annotates errors on committed and uncommitted lines", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bs-test-"));
+  const originalCwd = process.cwd();
+  const git = (...args) =>
+    execFileSync("git", args, {
+      cwd: dir,
+      stdio: "ignore",
+      env: {
+        ...process.env,
+        GIT_AUTHOR_NAME: "Jane",
+        GIT_AUTHOR_EMAIL: "jane@example.com",
+        GIT_COMMITTER_NAME: "Jane",
+        GIT_COMMITTER_EMAIL: "jane@example.com",
+      },
+    });
+
+  try {
+    git("init", "-q", "-b", "main");
+    fs.writeFileSync(path.join(dir, "a.js"), "a;\nb;\n");
+    git("add", ".");
+    git("commit", "-q", "-m", "initial");
+    fs.writeFileSync(path.join(dir, "a.js"), "a;\nb;\nc;\n");
+    fs.writeFileSync(path.join(dir, "new.js"), "d;\n");
+    process.chdir(dir);
+
+    const [committed, uncommitted, untracked] = attachBlame([
+      { file: "a.js", rule: "rule1", line: 2, message: "m" },
+      { file: "a.js", rule: "rule1", line: 3, message: "m" },
+      { file: "new.js", rule: "rule1", line: 1, message: "m" },
+    ]);
+
+    assert.strictEqual(committed.blame.author, "Jane");
+    assert.match(committed.blame.commit, /^[0-9a-f]{40}$/);
+    assert.strictEqual(uncommitted.blame.commit, null);
+    assert.strictEqual(untracked.blame, undefined);
+  } finally {
+    process.chdir(originalCwd);
+    fs.rmSync(dir, { recursive: true });
+  }
+});
+
+test("isOnChangedLine: changed lines, new files and formatter errors", () => {
+  const changedLines = new Map([
+    ["a.js", new Set([3])],
+    ["new.js", null],
+  ]);
+  const error = (file, line, rule = "rule1") => ({ file, line, rule });
+
+  assert.strictEqual(isOnChangedLine(error("a.js", 3), changedLines), true);
+  assert.strictEqual(isOnChangedLine(error("a.js", 4), changedLines), false);
+  assert.strictEqual(isOnChangedLine(error("new.js", 9), changedLines), true);
+  assert.strictEqual(
+    isOnChangedLine(error("a.js", 1, "format"), changedLines),
+    true
+  );
+  assert.strictEqual(isOnChangedLine(error("b.js", 1), changedLines), false);
+  // Blame is opt-in
+  assert.strictEqual(parseArgs(["--fail-on-changed-lines=main"]).blame, false);
+  assert.strictEqual(parseArgs(["--blame"]).blame, true);
+  assert.strictEqual(parseArgs([], { blame: true }).blame, true);
+});
+
+// Test machine-readable reports
+const sampleReport = {
+  newErrors: [
+    {
+      file: "src/a,b.js",
+      rule: "lint/suspicious/noExplicitAny",
+      line: 3,
+      message: "Avoid <any>\nplease",
+    },
+  ],
+  fixedErrors: [{ file: "src/c.js", rule: "format", line: 1, message: "m" }],
+  suppressedErrors: [
+    { file: "src/d.js", rule: "lint/style/useConst", line: 7, message: "m" },
+  ],
+  baselineCount: 2,
+  currentCount: 2,
+};
+
+test("formatReport: json includes lists and counts", () => {
+  const report = JSON.parse(formatReport("json", sampleReport));
+
+  assert.deepStrictEqual(report.summary, {
+    new: 1,
+    fixed: 1,
+    suppressed: 1,
+    baseline: 2,
+    current: 2,
+  });
+  assert.strictEqual(report.new[0].file, "src/a,b.js");
+  assert.strictEqual(report.fixed[0].fingerprint.length, 32);
+});
+
+test("formatReport: sarif marks baselined results as suppressed", () => {
+  const sarif = JSON.parse(formatReport("sarif", sampleReport));
+  const [run] = sarif.runs;
+
+  assert.strictEqual(sarif.version, "2.1.0");
+  assert.strictEqual(run.results.length, 2);
+  assert.strictEqual(run.results[0].suppressions, undefined);
+  assert.strictEqual(run.results[1].suppressions[0].kind, "external");
+  assert.strictEqual(
+    run.tool.driver.rules.find((r) => r.id === "lint/style/useConst").helpUri,
+    "https://biomejs.dev/linter/rules/use-const"
+  );
+});
+
+test("formatReport: junit fails new errors and skips baselined ones", () => {
+  const xml = formatReport("junit", sampleReport);
+
+  assert.match(xml, /tests="2" failures="1" skipped="1"/);
+  assert.match(xml, /message="Avoid &lt;any&gt;/);
+  assert.match(xml, /<skipped message="Suppressed by baseline"\/>/);
+
+  // Errors --fail-on-changed-lines exempts are skipped too
+  const exempt = formatReport("junit", {
+    ...sampleReport,
+    failSeverities: ["error"],
+    exemptErrors: sampleReport.newErrors,
+  });
+  assert.match(exempt, /tests="2" failures="0" skipped="2"/);
+  assert.match(exempt, /New error on an unchanged line/);
+});
+
+test("formatReport: github annotates new errors only, escaped", () => {
+  assert.strictEqual(
+    formatReport("github", sampleReport),
+    "::error title=lint/suspicious/noExplicitAny,file=src/a%2Cb.js,line=3::Avoid <any>%0Aplease"
+  );
+});
+
+test("formatMarkdownSummary: reports counts and groups new errors", () => {
+  const summary = formatMarkdownSummary({
+    ...sampleReport,
+    newErrors: [
+      ...sampleReport.newErrors,
+      { ...sampleReport.newErrors[0], line: 9 },
+    ],
+  });
+
+  assert.match(summary, /\*\*2 new errors\*\*/);
+  assert.match(summary, /\*\*1 fixed\*\*/);
+  assert.match(
+    summary,
+    /\| `lint\/suspicious\/noExplicitAny` \| `src\/a,b.js` \| 3, 9 \|/
+  );
+  assert.match(summary, /### 🎉 Fixed errors/);
+  assert.match(summary, /\| `lint\/style\/useConst` \| 1 \|/);
+});
+
+// Test biome subcommands and flag forwarding
+test("getBaselinePath: separate baselines for lint and format", () => {
+  assert.strictEqual(getBaselinePath("check"), ".biome-suppressed.json");
+  assert.strictEqual(getBaselinePath("ci"), ".biome-suppressed.json");
+  assert.strictEqual(getBaselinePath("lint"), ".biome-suppressed.lint.json");
+  assert.strictEqual(
+    getBaselinePath("format"),
+    ".biome-suppressed.format.json"
+  );
+});
+
+test("parseArgs: forwards unknown flags to biome", () => {
+  const options = parseArgs([
+    "--config-path",
+    "config",
+    "--only=style",
+    "--diagnostic-level",
+    "warn",
+    "--javascript-formatter-line-width",
+    "100",
+    "--vcs-use-ignore-file=true",
+    "--error-on-warnings",
+    "--write",
+    ".",
+  ]);
+
+  assert.deepStrictEqual(options.biomeArgs, [
+    "--config-path",
+    "config",
+    "--only=style",
+    "--diagnostic-level",
+    "warn",
+    "--javascript-formatter-line-width",
+    "100",
+    "--vcs-use-ignore-file=true",
+    "--error-on-warnings",
+  ]);
+  assert.deepStrictEqual(options.files, ["."]);
+  assert.strictEqual(options.write, true);
+  assert.strictEqual(takesBiomeValue("--unsafe"), false);
+});
+
+test("createRuleFilter: follows forwarded --only and --skip", () => {
+  const all = createRuleFilter([]);
+  const filter = createRuleFilter([
+    "--only=suspicious",
+    "--only",
+    "lint/style/useConst",
+    "--skip=suspicious/noConsole",
+  ]);
+
+  assert.strictEqual(all("format"), true);
+  assert.strictEqual(filter("lint/suspicious/noDoubleEquals"), true);
+  assert.strictEqual(filter("lint/style/useConst"), true);
+  assert.strictEqual(filter("lint/suspicious/noConsole"), false);
+  assert.strictEqual(filter("lint/style/useTemplate"), false);
+});
+
+// Test severity tracking
+test("parseGitHubErrors: records warning and notice severities", () => {
+  const errors = parseGitHubErrors(
+    [
+      "::error title=lint/a,file=a.js,line=1,endLine=1,col=1,endColumn=2::e",
+      "::warning title=lint/b,file=a.js,line=2,endLine=2,col=1,endColumn=2::w",
+      "::notice title=lint/c,file=a.js,line=3,endLine=3,col=1,endColumn=2::i",
+    ].join("\n")
+  );
+
+  assert.deepStrictEqual(
+    errors.map((error) => error.severity),
+    ["error", "warning", "info"]
+  );
+});
+
+test("createErrorFilter: tracks baseline and fail severities", () => {
+  const warning = { rule: "lint/b", severity: "warning" };
+  const info = { rule: "lint/c", severity: "info" };
+  const defaults = createErrorFilter(parseArgs([]));
+  const withWarnings = createErrorFilter(
+    parseArgs(["--baseline-severities=error,warning", "--only=lint/b"])
+  );
+  const failOnInfo = createErrorFilter(
+    parseArgs(["--fail-severities", "error,info"])
+  );
+
+  assert.strictEqual(defaults({ rule: "lint/a" }), true);
+  assert.strictEqual(defaults(warning), false);
+  assert.strictEqual(withWarnings(warning), true);
+  assert.strictEqual(withWarnings({ rule: "lint/a" }), false);
+  assert.strictEqual(failOnInfo(info), true);
+  assert.strictEqual(failOnInfo(warning), false);
+  // Deny-listed rules count at any severity
+  assert.strictEqual(
+    createErrorFilter(parseArgs([], { deny: ["lint/b"] }))(warning),
+    true
+  );
+});
+
+test("formatReport: non-error severities keep their level", () => {
+  const report = {
+    ...sampleReport,
+    newErrors: [{ ...sampleReport.newErrors[0], severity: "warning" }],
+    failSeverities: ["error"],
+  };
+
+  assert.match(formatReport("github", report), /^::warning title=/);
+  assert.strictEqual(
+    JSON.parse(formatReport("sarif", report)).runs[0].results[0].level,
+    "warning"
+  );
+  assert.match(formatReport("junit", report), /failures="0" skipped="2"/);
+});
+
+// Test configuration
+test("loadConfig: reads the rc file before package.json", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bs-config-"));
+  try {
+    assert.deepStrictEqual(loadConfig(dir), {});
+
+    fs.writeFileSync(
+      path.join(dir, "package.json"),
+      JSON.stringify({
+        "biome-suppressed": { baseline: "lint-baseline.json", files: ["src"] },
+      })
+    );
+    assert.deepStrictEqual(loadConfig(dir), {
+      baseline: "lint-baseline.json",
+      files: ["src"],
+    });
+
+    fs.writeFileSync(
+      path.join(dir, ".biome-suppressedrc.json"),
+      JSON.stringify({ failSeverities: "error,warning", outputFormat: "sarif" })
+    );
+    assert.deepStrictEqual(loadConfig(dir), {
+      failSeverities: ["error", "warning"],
+      outputFormat: "sarif",
+    });
+  } finally {
+    fs.rmSync(dir, { recursive: true });
+  }
+});
+
+test("parseArgs: CLI flags override config values", () => {
+  const config = {
+    baseline: "baseline.json",
+    biome: "node_modules/.bin/biome",
+    files: ["test.js"],
+    failOnImprovement: true,
+    outputFormat: "json",
+    baselineSeverities: ["error", "warning"],
+  };
+  const defaults = parseArgs([], config);
+  const overridden = parseArgs(
+    [
+      "--baseline=other.json",
+      "--no-suppression-fail-on-improvement",
+      "--output-format",
+      "text",
+      "index.js",
+    ],
+    config
+  );
+
+  assert.deepStrictEqual(defaults.files, ["test.js"]);
+  assert.strictEqual(defaults.baselineFile, "baseline.json");
+  assert.strictEqual(defaults.biomeBinary, "node_modules/.bin/biome");
+  assert.strictEqual(defaults.suppressionFailOnImprovement, true);
+  assert.strictEqual(defaults.outputFormat, "json");
+  assert.deepStrictEqual(defaults.baselineSeverities, ["error", "warning"]);
+  assert.deepStrictEqual(overridden.files, ["index.js"]);
+  assert.strictEqual(overridden.baselineFile, "other.json");
+  assert.strictEqual(overridden.suppressionFailOnImprovement, false);
+  assert.strictEqual(overridden.outputFormat, "text");
+  assert.strictEqual(
+    getBaselinePath("lint", "ci/baseline.json"),
+    "ci/baseline.lint.json"
+  );
+});
+
+// Test deny-list and budget policies
+test("matchesPattern: globs and plain prefixes", () => {
+  assert.strictEqual(
+    matchesPattern("lint/security/noEval", "lint/security/*"),
+    true
+  );
+  assert.strictEqual(
+    matchesPattern("lint/security/noEval", "lint/security"),
+    true
+  );
+  assert.strictEqual(
+    matchesPattern("lint/securityX/a", "lint/security"),
+    false
+  );
+  assert.strictEqual(matchesPattern("src/a/b.js", "src/*.js"), false);
+  assert.strictEqual(matchesPattern("src/a/b.js", "src/**/*.js"), true);
+  assert.strictEqual(matchesPattern("b.test.js", "**/*.test.js"), true);
+  assert.strictEqual(
+    isDeniedRule("lint/correctness/noUnusedVariables", [
+      "lint/security/*",
+      "lint/correctness/noUnusedVariables",
+    ]),
+    true
+  );
+});
+
+test("findBudgetOverruns: reports rules and paths over their maximum", () => {
+  const errors = [
+    { rule: "lint/style/useConst", file: "src/legacy/a.js" },
+    { rule: "lint/style/useConst", file: "src/legacy/b.js" },
+    { rule: "lint/suspicious/noConsole", file: "src/new/c.js" },
+  ];
+
+  assert.deepStrictEqual(
+    findBudgetOverruns(errors, {
+      rules: { "lint/style/useConst": 1, "lint/suspicious/*": 1 },
+      paths: { "src/legacy": 2, "src/new": 0 },
+    }),
+    [
+      { kind: "rules", pattern: "lint/style/useConst", max: 1, count: 2 },
+      { kind: "paths", pattern: "src/new", max: 0, count: 1 },
+    ]
+  );
+});
+
+test("matchesCodeownersPattern: gitignore-style anchoring", () => {
+  assert.ok(matchesCodeownersPattern("src/a.js", "*"));
+  assert.ok(matchesCodeownersPattern("src/deep/a.js", "*.js"));
+  assert.ok(matchesCodeownersPattern("src/legacy/a.js", "/src/legacy/"));
+  assert.ok(matchesCodeownersPattern("lib/docs/a.md", "docs"));
+  assert.ok(!matchesCodeownersPattern("lib/src/a.js", "/src/"));
+  assert.deepStrictEqual(
+    parseCodeowners("# Owners\n* @org/all\n\n/src/legacy/ @a @b # old\n"),
+    [
+      { pattern: "*", owners: ["@org/all"] },
+      { pattern: "/src/legacy/", owners: ["@a", "@b"] },
+    ]
+  );
+});
+
+test("getEntryMetadata: rules over paths, earliest expiry, CODEOWNERS", () => {
+  const metadata = {
+    rules: { "lint/style/*": { reason: "style debt", expires: "2026-03-01" } },
+    paths: { "src/legacy": { owner: "@legacy", expires: "2026-01-01" } },
+  };
+  const codeowners = parseCodeowners("* @org/all\n/src/legacy/ @a @b\n");
+
+  assert.deepStrictEqual(
+    getEntryMetadata(
+      { rule: "lint/style/useConst", file: "src/legacy/a.js" },
+      metadata,
+      codeowners
+    ),
+    { owner: "@legacy", reason: "style debt", expires: "2026-01-01" }
+  );
+  assert.deepStrictEqual(
+    getEntryMetadata(
+      { rule: "lint/suspicious/noDebugger", file: "src/a.js" },
+      metadata,
+      codeowners
+    ),
+    { owner: "@org/all" }
+  );
+  assert.deepStrictEqual(
+    getEntryMetadata({ rule: "r", file: "src/a.js" }, undefined, []),
+    {}
+  );
+});
+
+test("findExpiringEntries: expired and within the warning window", () => {
+  const errors = [
+    { rule: "old", file: "a.js", line: 1 },
+    { rule: "today", file: "a.js", line: 2 },
+    { rule: "soon", file: "a.js", line: 3 },
+    { rule: "later", file: "a.js", line: 4 },
+    { rule: "none", file: "a.js", line: 5 },
+  ];
+  const metadata = {
+    rules: {
+      old: { expires: "2026-05-31" },
+      today: { expires: "2026-06-01" },
+      soon: { expires: "2026-06-15" },
+      later: { expires: "2026-06-16" },
+    },
+  };
+
+  const { expired, expiring } = findExpiringEntries(errors, metadata, {
+    today: "2026-06-01",
+    warningDays: 14,
+  });
+
+  assert.deepStrictEqual(
+    expired.map((entry) => entry.rule),
+    ["old"]
+  );
+  assert.deepStrictEqual(
+    expiring.map((entry) => entry.rule),
+    ["today", "soon"]
+  );
+});
+
+test("displayExpiryStatus: counts only the severities check compares", () => {
+  const baseline = buildBaseline(
+    [
+      { rule: "lint/a", file: "a.js", line: 1, message: "m" },
+      {
+        rule: "lint/a",
+        file: "a.js",
+        line: 2,
+        message: "m",
+        severity: "warning",
+      },
+    ],
+    "2.2.5"
+  );
+  baseline.metadata = { rules: { "lint/a": { expires: "2020-01-01" } } };
+  const lines = [];
+  const originalLog = console.log;
+  console.log = (line) => lines.push(line);
+  try {
+    displayExpiryStatus(baseline, { ...parseArgs([]), codeowners: false });
+    displayExpiryStatus(baseline, {
+      ...parseArgs(["--baseline-severities=error,warning"]),
+      codeowners: false,
+    });
+  } finally {
+    console.log = originalLog;
+  }
+
+  assert.deepStrictEqual(
+    lines.filter((line) => line.startsWith("⏰")),
+    [
+      "⏰ Overdue: 1 error past its expiry",
+      "⏰ Overdue: 2 errors past their expiry",
+    ]
+  );
+});
+
+test("validateBaselineMetadata: rejects unknown keys and bad dates", () => {
+  assert.deepStrictEqual(validateBaselineMetadata(undefined), []);
+  assert.deepStrictEqual(
+    validateBaselineMetadata({
+      rules: { a: { owner: "@x", expires: "2026-02-30" } },
+      paths: { b: { due: "2026-01-01" } },
+      files: {},
+    }),
+    [
+      'rules["a"].expires must be a YYYY-MM-DD date',
+      'paths["b"] has unknown field "due"',
+      'unknown key "files" (use "rules" or "paths")',
+    ]
+  );
+});
+
+// Test biome upgrades
+test("parseChangedLines: collects added lines per file", () => {
+  const diff = [
+    "diff --git a/src/a.js b/src/a.js",
+    "--- a/src/a.js",
+    "+++ b/src/a.js",
+    "@@ -3 +3 @@ foo",
+    "@@ -10,0 +11,2 @@",
+    "@@ -20,2 +22,0 @@",
+    "diff --git a/old.js b/old.js",
+    "--- a/old.js",
+    "+++ /dev/null",
+    "@@ -1,2 +0,0 @@",
+  ].join("\n");
+
+  assert.deepStrictEqual(
+    parseChangedLines(diff),
+    new Map([["src/a.js", new Set([3, 11, 12])]])
+  );
+});
+
+test("classifyUpgradeErrors: untouched lines and unseen rules", () => {
+  const baseline = { errors: [{ rule: "lint/style/useConst" }] };
+  const newErrors = [
+    { rule: "lint/style/useConst", file: "src/a.js", line: 3 },
+    { rule: "lint/style/useConst", file: "src/a.js", line: 4 },
+    { rule: "lint/nursery/noNew", file: "src/b.js", line: 1 },
+    { rule: "format", file: "src/a.js", line: 1 },
+    { rule: "lint/nursery/noNew", file: "src/new.js", line: 1 },
+  ];
+  const changedLines = new Map([
+    ["src/a.js", new Set([3])],
+    ["src/new.js", null],
+  ]);
+
+  const withGit = classifyUpgradeErrors(newErrors, baseline, changedLines);
+  assert.deepStrictEqual(withGit.upgradeErrors, [newErrors[1], newErrors[2]]);
+  assert.deepStrictEqual(withGit.codeErrors, [
+    newErrors[0],
+    newErrors[3],
+    newErrors[4],
+  ]);
+
+  const withoutGit = classifyUpgradeErrors(newErrors, baseline, null);
+  assert.deepStrictEqual(withoutGit.upgradeErrors, [
+    newErrors[2],
+    newErrors[3],
+    newErrors[4],
+  ]);
+});
+
+// Test pruning
+test("parseProcessedFiles: reads biome's verbose file list", () => {
+  const output = [
+    " VERBOSE  ━━━━━━━━",
+    "",
+    "  i Files processed:",
+    "  ",
+    "  - src/a b.js",
+    "  - lib/c.js",
+    "  ",
+    "",
+    " VERBOSE  ━━━━━━━━",
+    "",
+    "  i Files fixed:",
+    "  - src/a b.js",
+  ].join("\n");
+
+  assert.deepStrictEqual(
+    parseProcessedFiles(output),
+    new Set(["src/a b.js", "lib/c.js"])
+  );
+  assert.deepStrictEqual(
+    parseProcessedFiles("  i Files processed:\n  ! The list is empty.\n"),
+    new Set()
+  );
+  assert.strictEqual(parseProcessedFiles("× Configuration error"), null);
+});
+
 // Integration test
 test("Integration: parse and fingerprint multiple errors", () => {
   const githubOutput = `::error title=lint/suspicious/noExplicitAny,file=src/api.ts,line=10,endLine=10,col=20,endColumn=23::Avoid using any type
@@ -164,10 +1623,670 @@ test("Integration: parse and fingerprint multiple errors", () => {
   );
 });
 
-// Summary
-console.log("");
-console.log(`Test Results: ${passed} passed, ${failed} failed`);
+// Test monorepo workspaces
+test("findWorkspaces: expands package.json globs with exclusions", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bs-test-"));
+  const writePackage = (packageDir, contents) => {
+    fs.mkdirSync(path.join(dir, packageDir), { recursive: true });
+    fs.writeFileSync(
+      path.join(dir, packageDir, "package.json"),
+      JSON.stringify(contents)
+    );
+  };
+
+  try {
+    writePackage(".", {
+      workspaces: { packages: ["packages/*", "apps/**", "!packages/old"] },
+    });
+    writePackage("packages/api", { name: "@acme/api" });
+    writePackage("packages/old", { name: "old" });
+    writePackage("apps/web/admin", {});
+    writePackage("apps/web/node_modules/dep", { name: "dep" });
+    fs.mkdirSync(path.join(dir, "packages/no-package"));
+
+    assert.deepStrictEqual(findWorkspaces(dir), [
+      { name: "apps/web/admin", dir: "apps/web/admin" },
+      { name: "@acme/api", dir: "packages/api" },
+    ]);
+  } finally {
+    fs.rmSync(dir, { recursive: true });
+  }
+});
+
+test("parsePnpmWorkspacePatterns: reads the packages list", () => {
+  const yaml = [
+    "# Workspace packages",
+    "packages:",
+    "  - 'packages/*'",
+    '  - "apps/**" # apps',
+    "  - '!**/test/**'",
+    "catalog:",
+    "  - ignored",
+  ].join("\n");
+
+  assert.deepStrictEqual(parsePnpmWorkspacePatterns(yaml), [
+    "packages/*",
+    "apps/**",
+    "!**/test/**",
+  ]);
+  assert.deepStrictEqual(parsePnpmWorkspacePatterns("packages: ['a/*', b]\n"), [
+    "a/*",
+    "b",
+  ]);
+});
+
+test("matchesWorkspace: package name, unscoped name or directory", () => {
+  const workspace = { name: "@acme/api", dir: "packages/api-server" };
+
+  assert.strictEqual(matchesWorkspace(workspace, "@acme/api"), true);
+  assert.strictEqual(matchesWorkspace(workspace, "api"), true);
+  assert.strictEqual(matchesWorkspace(workspace, "packages/api-server/"), true);
+  assert.strictEqual(matchesWorkspace(workspace, "api-server"), true);
+  assert.strictEqual(matchesWorkspace(workspace, "web"), false);
+});
+
+test("parseWorkspaceArgs: splits workspace flags from the rest", () => {
+  assert.deepStrictEqual(
+    parseWorkspaceArgs(["--workspace", "api", "--workspace=web", "src"]),
+    { names: ["api", "web"], all: null, args: ["src"] }
+  );
+  assert.strictEqual(parseWorkspaceArgs(["--workspaces"]).all, true);
+  assert.strictEqual(parseWorkspaceArgs(["--no-workspaces"]).all, false);
+});
+
+// Test watch mode
+test("isWatchedPath: skips dependencies, git internals and the baseline", () => {
+  assert.strictEqual(isWatchedPath("src/a.js", ".biome-suppressed.json"), true);
+  assert.strictEqual(
+    isWatchedPath("node_modules/x/index.js", ".biome-suppressed.json"),
+    false
+  );
+  assert.strictEqual(
+    isWatchedPath("packages/a/node_modules/x.js", ".biome-suppressed.json"),
+    false
+  );
+  assert.strictEqual(
+    isWatchedPath(".git/index", ".biome-suppressed.json"),
+    false
+  );
+  assert.strictEqual(
+    isWatchedPath("config/baseline.json", "./config/baseline.json"),
+    false
+  );
+});
+
+test("formatWatchResult: lists new and fixed errors of the saved files", () => {
+  const error = (line, message) => ({
+    rule: "lint/suspicious/noDebugger",
+    file: "src/a.js",
+    line,
+    message,
+  });
+
+  assert.deepStrictEqual(
+    formatWatchResult({
+      newErrors: [error(4, "Unexpected debugger.")],
+      fixedErrors: [error(1, "")],
+      remainingErrors: [],
+    }),
+    [
+      "❌ 1 new error:",
+      "  lint/suspicious/noDebugger: src/a.js:4 Unexpected debugger.",
+      "🎉 1 baselined error fixed:",
+      "  lint/suspicious/noDebugger: src/a.js:1",
+    ]
+  );
+  assert.deepStrictEqual(
+    formatWatchResult({
+      newErrors: [],
+      fixedErrors: [],
+      remainingErrors: [error(1, ""), error(2, "")],
+    }),
+    ["✅ No new errors (2 still baselined)"]
+  );
+});
+
+// Test biome-ignore export and import
+test("insertIgnoreComments: comments above each entry, found by snippet", () => {
+  const content = "function f() {\n  // moved\n  debugger;\n  eval(x);\n}\n";
+  const entry = (rule, line, snippet) => ({ rule, line, snippet });
+
+  const result = insertIgnoreComments(
+    content,
+    [
+      // Recorded on line 2 before a line was added above it
+      entry("lint/suspicious/noDebugger", 2, "debugger;"),
+      entry("lint/security/noGlobalEval", 4, "eval(x);"),
+      entry("lint/style/noParameterAssign", 4, "eval(x);"),
+      entry("lint/suspicious/noDebugger", 9, "gone();"),
+    ],
+    "a.js"
+  );
+
+  assert.strictEqual(
+    result.content,
+    [
+      "function f() {",
+      "  // moved",
+      "  // biome-ignore lint/suspicious/noDebugger: baselined by biome-suppressed",
+      "  debugger;",
+      "  // biome-ignore lint/security/noGlobalEval: baselined by biome-suppressed",
+      "  // biome-ignore lint/style/noParameterAssign: baselined by biome-suppressed",
+      "  eval(x);",
+      "}",
+      "",
+    ].join("\n")
+  );
+  assert.strictEqual(result.placed.length, 3);
+  assert.deepStrictEqual(
+    result.missing.map((missing) => missing.snippet),
+    ["gone();"]
+  );
+  assert.deepStrictEqual(result.diff.slice(0, 3), [
+    "@@ -3,1 +3,2 @@",
+    "+  // biome-ignore lint/suspicious/noDebugger: baselined by biome-suppressed",
+    "   debugger;",
+  ]);
+  assert.strictEqual(result.mapLine(1), 1);
+  assert.strictEqual(result.mapLine(4), 7);
+  assert.strictEqual(result.mapLine(5), 8);
+
+  // Exporting again adds nothing
+  const again = insertIgnoreComments(
+    result.content,
+    [entry("lint/suspicious/noDebugger", 4, "debugger;")],
+    "a.js"
+  );
+  assert.strictEqual(again.content, result.content);
+});
 
-if (failed > 0) {
-  process.exit(1);
+test("insertIgnoreComments: JSX children get {/* */} comments", () => {
+  const content = [
+    "const A = () => (",
+    "  <div>",
+    '    <img src="a.png" />',
+    '    <img src="b.png" />',
+    "  </div>",
+    ");",
+    "const b = () =>",
+    '  <img src="c.png" />;',
+  ].join("\n");
+  const entry = (line, snippet) => ({
+    rule: "lint/a11y/useAltText",
+    line,
+    snippet,
+  });
+
+  const result = insertIgnoreComments(
+    content,
+    [
+      entry(1, "const A = () => ("),
+      entry(3, '<img src="a.png" />'),
+      entry(4, '<img src="b.png" />'),
+      entry(8, '<img src="c.png" />;'),
+    ],
+    "a.tsx"
+  );
+
+  assert.strictEqual(
+    result.content,
+    [
+      "// biome-ignore lint/a11y/useAltText: baselined by biome-suppressed",
+      "const A = () => (",
+      "  <div>",
+      "    {/* biome-ignore lint/a11y/useAltText: baselined by biome-suppressed */}",
+      '    <img src="a.png" />',
+      "    {/* biome-ignore lint/a11y/useAltText: baselined by biome-suppressed */}",
+      '    <img src="b.png" />',
+      "  </div>",
+      ");",
+      "const b = () =>",
+      "  // biome-ignore lint/a11y/useAltText: baselined by biome-suppressed",
+      '  <img src="c.png" />;',
+    ].join("\n")
+  );
+  // No JSX in .ts files
+  assert.ok(
+    !insertIgnoreComments(
+      content,
+      [entry(3, '<img src="a.png" />')],
+      "a.ts"
+    ).content.includes("{/*")
+  );
+  assert.strictEqual(removeIgnoreComments(result.content).content, content);
+});
+
+test("removeIgnoreComments: removes marker comments and keeps others", () => {
+  const content = [
+    "a { color: red; }",
+    "/* biome-ignore lint/a11y/x: baselined by biome-suppressed */",
+    "b {}",
+    "// biome-ignore lint/style/useConst: reviewed by hand",
+    "let c = 1;",
+    "  {/* biome-ignore lint/a11y/useAltText: baselined by biome-suppressed */}",
+    "  <img />",
+    "",
+  ].join("\r\n");
+
+  const result = removeIgnoreComments(content);
+
+  assert.strictEqual(
+    result.content,
+    [
+      "a { color: red; }",
+      "b {}",
+      "// biome-ignore lint/style/useConst: reviewed by hand",
+      "let c = 1;",
+      "  <img />",
+      "",
+    ].join("\r\n")
+  );
+  assert.deepStrictEqual(result.removed, [
+    { rule: "lint/a11y/x", line: 2 },
+    { rule: "lint/a11y/useAltText", line: 5 },
+  ]);
+  assert.strictEqual(result.mapLine(7), 5);
+  assert.strictEqual(
+    removeIgnoreComments(content, (rule) => rule === "lint/a11y/x").removed
+      .length,
+    1
+  );
+});
+
+testAsync(
+  "export-ignores and import-ignores: a warning entry survives the round trip",
+  async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bs-test-"));
+    const originalCwd = process.cwd();
+    const originalLog = console.log;
+    const biome = [
+      `--biome-binary=${path.join(__dirname, "node_modules", ".bin", "biome")}`,
+    ];
+    try {
+      fs.writeFileSync(
+        path.join(dir, "biome.json"),
+        JSON.stringify({
+          formatter: { enabled: false },
+          linter: {
+            rules: {
+              recommended: false,
+              suspicious: { noDebugger: "warn", noDoubleEquals: "error" },
+            },
+          },
+        })
+      );
+      fs.writeFileSync(
+        path.join(dir, "a.js"),
+        "debugger;\nif (a == 1) console.log(a);\n"
+      );
+      await init({
+        cwd: dir,
+        biomeBinary: biome[0].slice("--biome-binary=".length),
+        baselineSeverities: ["error", "warning"],
+      });
+      const before = await loadBaseline({ cwd: dir });
+      assert.strictEqual(before.errors.length, 2);
+
+      process.chdir(dir);
+      console.log = () => {};
+      assert.strictEqual(await exportIgnoresCommand(biome), 0);
+      assert.strictEqual((await loadBaseline({ cwd: dir })).errors.length, 0);
+      assert.strictEqual(await importIgnoresCommand(biome), 0);
+      console.log = originalLog;
+
+      const after = await loadBaseline({ cwd: dir });
+      assert.deepStrictEqual(
+        after.errors.map((error) => `${error.rule}:${error.severity}`),
+        before.errors.map((error) => `${error.rule}:${error.severity}`)
+      );
+      assert.strictEqual(
+        fs.readFileSync(path.join(dir, "a.js"), "utf8"),
+        "debugger;\nif (a == 1) console.log(a);\n"
+      );
+    } finally {
+      console.log = originalLog;
+      process.chdir(originalCwd);
+      fs.rmSync(dir, { recursive: true });
+    }
+  }
+);
+
+// Test the programmatic API
+const apiError = (file, line, rule = "lint/style/useConst") => ({
+  file,
+  line,
+  rule,
+  message: "Use const.",
+});
+
+function withApiProject(fn) {
+  return async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bs-test-"));
+    const originalCwd = process.cwd();
+    try {
+      fs.writeFileSync(path.join(dir, "a.js"), "let a = 1;\nlet b = 2;\n");
+      fs.writeFileSync(path.join(dir, "b.js"), "let c = 3;\n");
+      await fn(dir);
+      // The API works in `cwd` without changing the process's directory
+      assert.strictEqual(process.cwd(), originalCwd);
+    } finally {
+      fs.rmSync(dir, { recursive: true });
+    }
+  };
 }
+
+testAsync(
+  "check: creates the baseline, then reports new and fixed errors",
+  withApiProject(async (cwd) => {
+    const created = await check({
+      cwd,
+      diagnostics: [apiError("a.js", 1), apiError("b.js", 1)],
+    });
+    assert.strictEqual(created.status, "created");
+    assert.strictEqual(created.exitCode, 1);
+    assert.strictEqual(
+      (await loadBaseline({ cwd })).fingerprints.length,
+      2,
+      "Baseline should be written in cwd"
+    );
+
+    const failing = await check({
+      cwd,
+      diagnostics: [apiError("a.js", 1), apiError("a.js", 2)],
+    });
+    assert.strictEqual(failing.status, "new-errors");
+    assert.strictEqual(failing.exitCode, 1);
+    assert.deepStrictEqual(
+      failing.newErrors.map((error) => `${error.file}:${error.line}`),
+      ["a.js:2"]
+    );
+    assert.strictEqual(failing.newErrors[0].snippet, "let b = 2;");
+    assert.strictEqual(failing.fixedErrors.length, 1);
+    assert.strictEqual(failing.suppressedErrors.length, 1);
+    assert.strictEqual(failing.baselineUpdated, false);
+
+    const improved = await check({
+      cwd,
+      diagnostics: [apiError(path.join(cwd, "a.js"), 1)],
+    });
+    assert.strictEqual(improved.status, "improved");
+    assert.strictEqual(improved.exitCode, 0);
+    assert.strictEqual(improved.baselineUpdated, true);
+    assert.strictEqual((await loadBaseline({ cwd })).errors.length, 1);
+  })
+);
+
+testAsync(
+  "check: fail-on-improvement and read-only runs leave the baseline alone",
+  withApiProject(async (cwd) => {
+    await init({
+      cwd,
+      diagnostics: [apiError("a.js", 1), apiError("b.js", 1)],
+      biomeVersion: "2.2.5",
+    });
+    const before = fs.readFileSync(path.join(cwd, ".biome-suppressed.json"));
+
+    const strict = await check({
+      cwd,
+      diagnostics: [apiError("a.js", 1)],
+      failOnImprovement: true,
+    });
+    assert.strictEqual(strict.status, "improved");
+    assert.strictEqual(strict.exitCode, 1);
+
+    const readOnly = await check({
+      cwd,
+      diagnostics: [apiError("a.js", 1)],
+      updateBaseline: false,
+    });
+    assert.strictEqual(readOnly.exitCode, 0);
+    assert.strictEqual(readOnly.baselineUpdated, false);
+    assert.deepStrictEqual(
+      fs.readFileSync(path.join(cwd, ".biome-suppressed.json")),
+      before
+    );
+    assert.strictEqual((await loadBaseline({ cwd })).biomeVersion, "2.2.5");
+  })
+);
+
+testAsync(
+  "check: read-only runs prune in memory without writing the baseline",
+  withApiProject(async (cwd) => {
+    await init({
+      cwd,
+      diagnostics: [apiError("a.js", 1), apiError("b.js", 1)],
+      biomeVersion: "2.2.5",
+    });
+    fs.rmSync(path.join(cwd, "b.js"));
+    const before = fs.readFileSync(path.join(cwd, ".biome-suppressed.json"));
+
+    const result = await check({
+      cwd,
+      diagnostics: [apiError("a.js", 1)],
+      prune: true,
+      updateBaseline: false,
+      biomeBinary: path.join(__dirname, "node_modules", ".bin", "biome"),
+    });
+    assert.strictEqual(result.status, "clean");
+    assert.strictEqual(result.baselineCount, 1);
+    assert.deepStrictEqual(
+      result.pruned.removed.map((entry) => entry.file),
+      ["b.js"]
+    );
+    assert.strictEqual(result.baselineUpdated, false);
+    assert.deepStrictEqual(
+      fs.readFileSync(path.join(cwd, ".biome-suppressed.json")),
+      before
+    );
+
+    const written = await check({
+      cwd,
+      diagnostics: [apiError("a.js", 1)],
+      prune: true,
+      biomeBinary: path.join(__dirname, "node_modules", ".bin", "biome"),
+    });
+    assert.strictEqual(written.status, "clean");
+    assert.strictEqual(written.baselineUpdated, true);
+    assert.strictEqual((await loadBaseline({ cwd })).errors.length, 1);
+  })
+);
+
+testAsync(
+  "init replaces the baseline, update keeps entries outside the given files",
+  withApiProject(async (cwd) => {
+    await init({
+      cwd,
+      diagnostics: [apiError("a.js", 1), apiError("b.js", 1)],
+    });
+    const updated = await update({
+      cwd,
+      files: ["a.js"],
+      diagnostics: [apiError("a.js", 2)],
+    });
+
+    assert.strictEqual(updated.exitCode, 0);
+    assert.deepStrictEqual(
+      updated.baseline.errors.map((error) => `${error.file}:${error.line}`),
+      ["a.js:2", "b.js:1"]
+    );
+
+    const replaced = await init({
+      cwd,
+      files: ["a.js"],
+      diagnostics: [apiError("a.js", 1)],
+    });
+    assert.deepStrictEqual(
+      replaced.baseline.errors.map((error) => `${error.file}:${error.line}`),
+      ["a.js:1"]
+    );
+  })
+);
+
+testAsync(
+  "check: compares against a ref and fails only on changed lines, in cwd",
+  withApiProject(async (cwd) => {
+    const git = (...args) =>
+      execFileSync("git", args, {
+        cwd,
+        stdio: "ignore",
+        env: {
+          ...process.env,
+          GIT_AUTHOR_NAME: "Test",
+          GIT_AUTHOR_EMAIL: "test@example.com",
+          GIT_COMMITTER_NAME: "Test",
+          GIT_COMMITTER_EMAIL: "test@example.com",
+        },
+      });
+    git("init", "-q", "-b", "main");
+    await init({ cwd, diagnostics: [apiError("a.js", 1)] });
+    git("add", ".");
+    git("commit", "-q", "-m", "initial");
+    fs.appendFileSync(path.join(cwd, "a.js"), "let d = 4;\n");
+    // A working-tree baseline that accepts a.js:2
+    await update({
+      cwd,
+      diagnostics: [apiError("a.js", 1), apiError("a.js", 2)],
+    });
+
+    const diagnostics = [
+      apiError("a.js", 1),
+      apiError("a.js", 2),
+      apiError("a.js", 3),
+    ];
+    const local = await check({ cwd, diagnostics, updateBaseline: false });
+    assert.deepStrictEqual(
+      local.newErrors.map((error) => error.line),
+      [3]
+    );
+
+    const result = await check({
+      cwd,
+      diagnostics,
+      against: "main",
+      failOnChangedLines: "main",
+      blame: true,
+    });
+    assert.strictEqual(result.status, "new-errors");
+    assert.deepStrictEqual(
+      result.failingErrors.map((error) => error.line),
+      [3]
+    );
+    assert.deepStrictEqual(
+      result.exemptErrors.map((error) => error.line),
+      [2]
+    );
+    assert.strictEqual(result.exemptErrors[0].blame.author, "Test");
+    assert.strictEqual(result.failingErrors[0].blame.commit, null);
+
+    await assert.rejects(
+      check({ cwd, diagnostics, against: "main", prune: true }),
+      /--prune can't be combined with --against/
+    );
+  })
+);
+
+testAsync(
+  "check: expired suppressions are a policy violation",
+  withApiProject(async (cwd) => {
+    await init({
+      cwd,
+      diagnostics: [apiError("a.js", 1), apiError("b.js", 1)],
+    });
+    const baselinePath = path.join(cwd, ".biome-suppressed.json");
+    const data = JSON.parse(fs.readFileSync(baselinePath, "utf8"));
+    data.metadata = { paths: { "a.js": { expires: "2026-01-31" } } };
+    fs.writeFileSync(baselinePath, JSON.stringify(data));
+
+    const expiring = await check({
+      cwd,
+      diagnostics: [apiError("a.js", 1), apiError("b.js", 1)],
+      today: "2026-01-20",
+    });
+    assert.strictEqual(expiring.status, "clean");
+    assert.strictEqual(expiring.expiringErrors[0].file, "a.js");
+
+    const expired = await check({
+      cwd,
+      diagnostics: [apiError("a.js", 1)],
+      today: "2026-02-01",
+    });
+    assert.strictEqual(expired.status, "policy-violation");
+    assert.strictEqual(expired.exitCode, 1);
+    assert.deepStrictEqual(
+      expired.expiredErrors.map((error) => error.file),
+      ["a.js"]
+    );
+
+    // Improvements rewrite the entries and keep the metadata
+    await check({ cwd, diagnostics: [apiError("b.js", 1)] });
+    assert.deepStrictEqual(
+      (await loadBaseline({ cwd })).metadata,
+      data.metadata
+    );
+  })
+);
+
+testAsync("check: rejects invalid options and diagnostics", async () => {
+  await assert.rejects(check({ command: "fmt" }), /command must be one of/);
+  await assert.rejects(
+    check({ diagnostics: [apiError("a.js", 1)], failSeverities: ["fatal"] }),
+    /failSeverities must be a list of/
+  );
+  await assert.rejects(
+    check({ diagnostics: "not json" }),
+    /diagnostics must be biome's JSON report/
+  );
+});
+
+test("diff: matches baseline entries by fingerprint", () => {
+  const before = buildBaseline(
+    [
+      { ...apiError("a.js", 1), snippet: "let a = 1;" },
+      { ...apiError("b.js", 1), snippet: "let c = 3;" },
+    ],
+    "2.2.5"
+  );
+  const after = [
+    // Moved down a line: still the same entry
+    { ...apiError("a.js", 3), snippet: "let a = 1;" },
+    { ...apiError("c.js", 1), snippet: "let d = 4;" },
+  ];
+
+  const result = diffBaselines(before, after);
+
+  assert.deepStrictEqual(
+    result.added.map((error) => error.file),
+    ["c.js"]
+  );
+  assert.deepStrictEqual(
+    result.removed.map((error) => error.file),
+    ["b.js"]
+  );
+  assert.deepStrictEqual(
+    result.unchanged.map((error) => error.file),
+    ["a.js"]
+  );
+  assert.strictEqual(diffBaselines(null, before).added.length, 2);
+});
+
+// Summary
+(async () => {
+  for (const { name, fn } of asyncTests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log("");
+  console.log(`Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+})();